@@ -3,6 +3,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const { authenticate } = require('./middleware/auth');
+const ocrService = require('./services/ocrService');
 
 const app = express();
 
@@ -41,7 +43,8 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    ocrWorkers: ocrService.getWorkerPoolStats()
   });
 });
 
@@ -69,32 +72,40 @@ app.use('/api', (req, res, next) => {
 
 // API Routes
 
+// Auth Route - Registration, login and token refresh (public)
+app.use('/api/auth', require('./routes/auth'));
+
+// All routes below require a valid bearer token and receive req.user
+
+// Users Route - Learning records and role/class management
+app.use('/api/users', authenticate, require('./routes/users'));
+
 // OCR Route - For text extraction from images (supports Hindi, Punjabi, English)
-app.use('/api/ocr', (req, res, next) => {
+app.use('/api/ocr', authenticate, (req, res, next) => {
   // OCR-specific middleware can be added here
   next();
 }, require('./routes/ocr'));
 
 // Grammar Check Route - For multilingual grammar checking
-app.use('/api/grammar', (req, res, next) => {
+app.use('/api/grammar', authenticate, (req, res, next) => {
   // Grammar-specific middleware can be added here
   next();
 }, require('./routes/grammar'));
 
 // Speech Route - For text-to-speech and speech-to-text in multiple languages
-app.use('/api/speech', (req, res, next) => {
+app.use('/api/speech', authenticate, (req, res, next) => {
   // Speech processing middleware can be added here
   next();
 }, require('./routes/speech'));
 
 // Chat Route - For AI-powered educational chat in Hindi, Punjabi, and English
-app.use('/api/chat', (req, res, next) => {
+app.use('/api/chat', authenticate, (req, res, next) => {
   // Chat-specific middleware (rate limiting, session management)
   next();
 }, require('./routes/chat'));
 
 // Export Route - For exporting learning materials and progress
-app.use('/api/export', (req, res, next) => {
+app.use('/api/export', authenticate, (req, res, next) => {
   // Export-specific middleware can be added here
   next();
 }, require('./routes/export'));
@@ -106,6 +117,8 @@ app.use('/api/*', (req, res) => {
     message: `The requested endpoint ${req.originalUrl} does not exist`,
     supportedLanguages: ['hi', 'pa', 'en'],
     availableEndpoints: [
+      '/api/auth',
+      '/api/users',
       '/api/ocr',
       '/api/grammar', 
       '/api/speech',
@@ -0,0 +1,154 @@
+const authService = require('../services/authService');
+const { getBearerToken } = require('../middleware/auth');
+
+/**
+ * Register a new user account
+ */
+const register = async (req, res) => {
+  try {
+    const { name, email, password, preferredLanguage = 'en' } = req.body;
+
+    const result = await authService.register({ name, email, password, preferredLanguage });
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Register error:', error);
+
+    if (error.message.includes('already registered')) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration details',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const result = await authService.login(email, password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+
+    if (error.message.includes('Invalid email or password')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Accepts the refresh token as a Bearer token or in the request body
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const token = getBearerToken(req) || req.body.refreshToken;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await authService.refreshTokens(token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+
+    if (
+      error.message.includes('Token expired') ||
+      error.message.includes('Invalid token') ||
+      error.message.includes('no longer exists')
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please log in again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during token refresh',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the currently authenticated user
+ */
+const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Authenticated user retrieved successfully',
+    data: req.user
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  getCurrentUser
+};
@@ -1,6 +1,37 @@
 const grammarService = require('../services/grammarService');
 const { validationResult } = require('express-validator');
 
+// Request language codes to the language names used by grammarService
+const languageMap = {
+  en: 'english',
+  hi: 'hindi',
+  pa: 'punjabi'
+};
+
+/**
+ * Map a request language code to its language name
+ * Only the map's own keys count, so codes such as 'constructor' are not mistaken for languages
+ * @returns {string|undefined}
+ */
+const toFullLanguage = (code) => (Object.hasOwn(languageMap, code) ? languageMap[code] : undefined);
+
+/**
+ * Validate an optional grammar provider for a language
+ * @returns {string|null} - Error message, or null when the provider can be used
+ */
+const validateProvider = (provider, fullLang) => {
+  if (provider === undefined) return null;
+
+  const entry = grammarService.providers[provider];
+  if (!entry) {
+    return `Provider must be one of: ${Object.keys(grammarService.providers).join(', ')}`;
+  }
+  if (!entry.supports(fullLang)) {
+    return `Provider ${provider} does not support ${fullLang}`;
+  }
+  return null;
+};
+
 /**
  * Check grammar using Gemini API
  * Supports English, Hindi, and Punjabi text
@@ -17,7 +48,7 @@ const checkGrammar = async (req, res) => {
       });
     }
 
-    const { text, language = 'en', checkType = 'comprehensive' } = req.body;
+    const { text, language = 'en', checkType = 'comprehensive', provider } = req.body;
 
     if (!text || text.trim().length === 0) {
       return res.status(400).json({
@@ -50,13 +81,7 @@ const checkGrammar = async (req, res) => {
     }
 
     // Perform grammar check
-    const languageMap = {
-      en: 'english',
-      hi: 'hindi',
-      pa: 'punjabi'
-    };
-
-    const fullLang = languageMap[language.toLowerCase()];
+    const fullLang = toFullLanguage(language.toLowerCase());
     if (!fullLang) {
       return res.status(400).json({
         success: false,
@@ -64,8 +89,23 @@ const checkGrammar = async (req, res) => {
       });
     }
 
-    const result = await grammarService.correctGrammar(text, fullLang, checkType);
-    // console.log('Grammar correction result:', result);
+    const providerError = validateProvider(provider, fullLang);
+    if (providerError) {
+      return res.status(400).json({
+        success: false,
+        message: providerError
+      });
+    }
+
+    const result = await grammarService.checkText(text, fullLang, checkType, { provider });
+
+    // The check itself succeeded; a history write failure should not cost the user the result
+    let record = null;
+    try {
+      record = await grammarService.saveGrammarRecord(req.user.userId, result, { language: language.toLowerCase() });
+    } catch (saveError) {
+      console.error('Grammar record save error:', saveError);
+    }
 
     const errors = Array.isArray(result.errors)
       ? result.errors
@@ -83,13 +123,24 @@ const checkGrammar = async (req, res) => {
       success: true,
       message: 'Grammar check completed successfully.',
       data: {
+        recordId: record ? record.recordId : null,
         originalText: result.original || text,
         correctedText: result.corrected || result.correctedText || '',
         errors,
+        diff: result.diff,
+        structured: result.structured,
+        provider: result.provider,
+        fallback: result.fallback,
+        limited: result.limited,
         suggestions,
         overallScore,
         language,
+        detectedLanguage: result.scriptAnalysis?.primaryLanguage,
+        scriptAnalysis: result.scriptAnalysis,
         checkType,
+        categoriesChecked: result.categoriesChecked,
+        ...(result.style && { style: result.style }),
+        ...(result.recommendations && { recommendations: result.recommendations }),
         statistics: {
           totalErrors: errors.length,
           readabilityScore: result.readabilityScore || 0,
@@ -108,6 +159,13 @@ const checkGrammar = async (req, res) => {
       });
     }
 
+    if (error.message?.toLowerCase().includes('not configured')) {
+      return res.status(503).json({
+        success: false,
+        message: 'This check is not available on this server.'
+      });
+    }
+
     if (error.message?.toLowerCase().includes('quota')) {
       return res.status(429).json({
         success: false,
@@ -124,6 +182,144 @@ const checkGrammar = async (req, res) => {
 };
 
 
+/**
+ * Improve style and clarity of a text for a style focus and audience
+ */
+const improveStyle = async (req, res) => {
+  try {
+    const { text, language = 'en', styleType = 'general', audience } = req.body;
+
+    if (text.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text exceeds maximum length of 5000 characters.'
+      });
+    }
+
+    const result = await grammarService.improveStyle(text, toFullLanguage(language.toLowerCase()), {
+      styleType,
+      audience
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Style improvement completed successfully.',
+      data: {
+        originalText: result.original,
+        improvedText: result.improved,
+        diff: result.diff,
+        improvements: result.improvements,
+        styleType,
+        audience: audience || null,
+        language
+      }
+    });
+
+  } catch (error) {
+    console.error('Style improvement error:', error);
+
+    if (error.message?.toLowerCase().includes('quota')) {
+      return res.status(429).json({
+        success: false,
+        message: 'Grammar check quota exceeded. Please try again later.'
+      });
+    }
+
+    if (error.message?.toLowerCase().includes('not configured')) {
+      return res.status(503).json({
+        success: false,
+        message: 'Style improvement is not available on this server.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during style improvement.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Grammar correction, style improvement and recommendations in one response
+ */
+const analyzeText = async (req, res) => {
+  try {
+    const { text, language = 'en', styleType, audience, context, provider } = req.body;
+
+    if (text.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text exceeds maximum length of 5000 characters.'
+      });
+    }
+
+    const fullLang = toFullLanguage(language.toLowerCase());
+    const providerError = validateProvider(provider, fullLang);
+    if (providerError) {
+      return res.status(400).json({
+        success: false,
+        message: providerError
+      });
+    }
+
+    const result = await grammarService.analyzeAndCorrect(text, fullLang, {
+      styleType,
+      audience,
+      context,
+      provider
+    });
+
+    const { grammar, style } = result;
+
+    res.status(200).json({
+      success: true,
+      message: 'Text analysis completed successfully.',
+      data: {
+        originalText: result.original,
+        correctedText: grammar.corrected,
+        grammar: {
+          errors: grammar.errors,
+          suggestions: grammar.suggestions,
+          diff: grammar.diff,
+          categoriesChecked: grammar.categoriesChecked,
+          structured: grammar.structured,
+          provider: grammar.provider,
+          fallback: grammar.fallback,
+          limited: grammar.limited,
+          confidence: grammar.confidence
+        },
+        // null when the style pass is unavailable (Gemini not configured or failing)
+        style: style && {
+          improvedText: style.improved,
+          diff: style.diff,
+          improvements: style.improvements
+        },
+        recommendations: result.recommendations,
+        language,
+        detectedLanguage: grammar.scriptAnalysis?.primaryLanguage,
+        scriptAnalysis: grammar.scriptAnalysis
+      }
+    });
+
+  } catch (error) {
+    console.error('Text analysis error:', error);
+
+    if (error.message?.toLowerCase().includes('quota')) {
+      return res.status(429).json({
+        success: false,
+        message: 'Grammar check quota exceeded. Please try again later.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during text analysis.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get detailed grammar suggestions and explanations
  */
@@ -138,7 +334,7 @@ const getGrammarSuggestions = async (req, res) => {
       });
     }
 
-    const { text, language = 'en', errorType } = req.body;
+    const { text, language = 'en', errorType, error } = req.body;
 
     if (!text || text.trim().length === 0) {
       return res.status(400).json({
@@ -147,22 +343,79 @@ const getGrammarSuggestions = async (req, res) => {
       });
     }
 
-    const suggestions = await grammarService.getDetailedSuggestions(text, language, errorType);
+    if (text.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text exceeds maximum length of 5000 characters.'
+      });
+    }
+
+    if (errorType !== undefined && !grammarService.errorCategories.includes(errorType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Error type must be one of: ${grammarService.errorCategories.join(', ')}`
+      });
+    }
+
+    if (error !== undefined && (
+      typeof error !== 'object' || error === null ||
+      typeof error.original !== 'string' || !error.original.trim() ||
+      typeof error.replacement !== 'string' ||
+      (error.category !== undefined && !grammarService.errorCategories.includes(error.category))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error must have an original span, a replacement and optionally a valid category'
+      });
+    }
+
+    // Explain in the learner's own language unless another one is requested
+    const explanationLanguage = req.body.explanationLanguage || req.user.preferredLanguage || language;
+    if (!Object.hasOwn(languageMap, explanationLanguage)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Explanation language must be one of: en, hi, pa'
+      });
+    }
+
+    const suggestions = await grammarService.getDetailedSuggestions(text, toFullLanguage(language.toLowerCase()), {
+      errorType,
+      explanationLanguage,
+      error: error && {
+        original: error.original,
+        replacement: error.replacement,
+        category: error.category,
+        start: Number.isInteger(error.start) ? error.start : undefined,
+        end: Number.isInteger(error.end) ? error.end : undefined
+      }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Grammar suggestions retrieved successfully',
+      message: suggestions.errors.length
+        ? 'Grammar suggestions retrieved successfully'
+        : 'No grammar errors found to explain',
       data: {
         suggestions: suggestions.detailedSuggestions,
         explanations: suggestions.explanations,
         examples: suggestions.examples,
         difficulty: suggestions.difficulty,
-        learningTips: suggestions.learningTips
+        learningTips: suggestions.learningTips,
+        explanationLanguage,
+        structured: suggestions.structured
       }
     });
 
   } catch (error) {
     console.error('Get grammar suggestions error:', error);
+
+    if (error.message?.toLowerCase().includes('quota')) {
+      return res.status(429).json({
+        success: false,
+        message: 'Grammar check quota exceeded. Please try again later.'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve grammar suggestions',
@@ -185,7 +438,7 @@ const batchGrammarCheck = async (req, res) => {
       });
     }
 
-    const { texts, language = 'en', checkType = 'comprehensive' } = req.body;
+    const { texts, language = 'en', checkType = 'comprehensive', provider } = req.body;
 
     if (!Array.isArray(texts) || texts.length === 0) {
       return res.status(400).json({
@@ -201,9 +454,32 @@ const batchGrammarCheck = async (req, res) => {
       });
     }
 
+    const fullLang = toFullLanguage(String(language).toLowerCase());
+    if (!fullLang) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language. Supported languages: English (en), Hindi (hi), Punjabi (pa)'
+      });
+    }
+
+    if (!grammarService.checkTypeCategories[checkType]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check type. Supported types: comprehensive, spelling, grammar, punctuation, style'
+      });
+    }
+
+    const providerError = validateProvider(provider, fullLang);
+    if (providerError) {
+      return res.status(400).json({
+        success: false,
+        message: providerError
+      });
+    }
+
     // Validate each text
     for (let i = 0; i < texts.length; i++) {
-      if (!texts[i] || texts[i].trim().length === 0) {
+      if (typeof texts[i] !== 'string' || texts[i].trim().length === 0) {
         return res.status(400).json({
           success: false,
           message: `Text at index ${i} is empty or invalid`
@@ -217,7 +493,7 @@ const batchGrammarCheck = async (req, res) => {
       }
     }
 
-    const results = await grammarService.batchGrammarCheck(texts, language, checkType);
+    const results = await grammarService.batchGrammarCheck(texts, fullLang, checkType, { provider });
 
     res.status(200).json({
       success: true,
@@ -226,6 +502,8 @@ const batchGrammarCheck = async (req, res) => {
         results: results.results,
         summary: {
           totalTexts: texts.length,
+          succeeded: results.summary.succeeded,
+          failed: results.summary.failed,
           totalErrors: results.summary.totalErrors,
           averageScore: results.summary.averageScore,
           processingTime: results.summary.processingTime
@@ -248,7 +526,8 @@ const batchGrammarCheck = async (req, res) => {
  */
 const getGrammarHistory = async (req, res) => {
   try {
-    const { userId } = req.user; // Assuming user is attached via auth middleware
+    // Resolved by authorizeUserScope: the user themselves, or :userId for teachers/admins
+    const userId = req.targetUserId;
     const { page = 1, limit = 10, language, checkType } = req.query;
 
     const history = await grammarService.getUserGrammarHistory(userId, {
@@ -279,7 +558,7 @@ const getGrammarHistory = async (req, res) => {
  */
 const getGrammarStats = async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.targetUserId;
     const { timeRange = '30d', language } = req.query;
 
     const stats = await grammarService.getUserGrammarStats(userId, timeRange, language);
@@ -292,6 +571,13 @@ const getGrammarStats = async (req, res) => {
 
   } catch (error) {
     console.error('Get grammar stats error:', error);
+
+    if (error.message.includes('Invalid time range')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve grammar statistics',
@@ -302,6 +588,8 @@ const getGrammarStats = async (req, res) => {
 
 module.exports = {
   checkGrammar,
+  improveStyle,
+  analyzeText,
   getGrammarSuggestions,
   batchGrammarCheck,
   getGrammarHistory,
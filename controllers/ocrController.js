@@ -1,4 +1,7 @@
 const ocrService = require('../services/ocrService');
+const vocabularyService = require('../services/vocabularyService');
+const grammarService = require('../services/grammarService');
+const userService = require('../services/userService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -10,6 +13,141 @@ const mapLangCodeToTesseract = (langCode) => {
   const langMap = { en: 'eng', hi: 'hin', pa: 'pan' };
   return langMap[langCode] || 'eng';
 };
+
+/**
+ * Read a boolean flag from a JSON or multipart body (where it arrives as a string)
+ */
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true';
+};
+
+/**
+ * Layout hierarchy and formula regions of a result plus any hOCR/ALTO rendering that was requested
+ */
+const layoutFields = (result) => ({
+  layout: result.layout,
+  pageSize: result.pageSize,
+  mathRegions: result.mathRegions || [],
+  proseText: result.proseText,
+  ...Object.fromEntries(
+    ocrService.outputFormats.filter(format => result[format]).map(format => [format, result[format]])
+  )
+});
+
+/**
+ * Words flagged for review and words snapped to the vocabulary (index points into the saved record's words)
+ */
+const reviewFields = (result) => ({
+  confidenceThreshold: result.confidenceThreshold,
+  lowConfidenceWords: result.lowConfidenceWords || [],
+  vocabularyCorrections: result.vocabularyCorrections || []
+});
+
+/**
+ * Word lists of the user and their classes, unless the request opts out with useVocabulary=false
+ * language is undefined when all supported scripts are recognised
+ */
+const loadVocabulary = async (req, language) => {
+  if (!parseBoolean(req.body.useVocabulary, true)) return null;
+  return vocabularyService.getOcrVocabulary(req.user, language);
+};
+
+/**
+ * Whether an error comes from an upload that sharp or Tesseract could not decode
+ */
+const isInvalidImageError = (error) =>
+  error.message.includes('invalid image') || error.message.includes('Error attempting to read image');
+
+/**
+ * Read an optional numeric form field
+ */
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+/**
+ * Save the successful pages of a multi-page OCR run and shape them for the response
+ * getMimeType(result) returns the MIME type to store for a page
+ * A page whose record cannot be saved keeps its text and is flagged with saved: false
+ */
+const savePageResults = async (userId, batch, language, getMimeType) => {
+  const pages = [];
+
+  for (const result of batch.results) {
+    if (!result.success) {
+      pages.push({ page: result.page, success: false, error: result.error });
+      continue;
+    }
+
+    let record = null;
+    let saveError;
+    try {
+      record = await ocrService.saveOcrRecord(userId, result, {
+        requestedLanguage: language,
+        mimeType: getMimeType(result),
+        page: result.page
+      });
+    } catch (error) {
+      console.error(`Saving OCR record for page ${result.page} failed:`, error);
+      saveError = 'The extracted text could not be saved';
+    }
+
+    pages.push({
+      page: result.page,
+      success: true,
+      saved: Boolean(record),
+      ...(saveError && { saveError }),
+      recordId: record?.recordId ?? null,
+      reviewStatus: record?.reviewStatus,
+      extractedText: result.text,
+      confidence: result.confidence,
+      detectedLanguage: result.language || 'unknown',
+      wordCount: result.words?.length || 0,
+      scriptAnalysis: result.scriptAnalysis,
+      orientation: result.orientation,
+      cached: result.cached,
+      ...reviewFields(result),
+      ...layoutFields(result)
+    });
+  }
+
+  return pages;
+};
+
+/**
+ * Extract text from every page of an uploaded PDF or TIFF document
+ */
+const extractTextFromDocument = async (req, res, language, ocrOptions) => {
+  const { buffer, mimetype: mimeType } = req.file;
+
+  const batch = await ocrService.extractTextFromDocument(buffer, mimeType, ocrOptions);
+
+  const pages = await savePageResults(req.user.userId, batch, language, () => mimeType);
+
+  if (!batch.success) {
+    return res.status(422).json({
+      success: false,
+      message: 'Text could not be extracted from any page of the document',
+      data: { documentType: batch.documentType, pages }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: batch.failedPages.length
+      ? `Text extracted from ${batch.successfulPages} of ${batch.totalProcessed} pages`
+      : 'Text extracted successfully from all pages',
+    data: {
+      documentType: batch.documentType,
+      extractedText: batch.mergedDocument.text,
+      pages,
+      mergedDocument: batch.mergedDocument,
+      language: language,
+      totalPages: batch.totalProcessed,
+      successfulPages: batch.successfulPages,
+      failedPages: batch.failedPages
+    }
+  });
+};
 const extractText = async (req, res) => {
   try {
     // Validate request
@@ -30,7 +168,7 @@ const extractText = async (req, res) => {
       });
     }
 
-    const { language = 'en' } = req.body;
+    const { language = 'en', autoOrient, outputFormat, confidenceThreshold } = req.body;
     const imageBuffer = req.file.buffer;
     const mimeType = req.file.mimetype;
 
@@ -43,29 +181,57 @@ const extractText = async (req, res) => {
       });
     }
 
+    const ocrOptions = {
+      languages: mapLangCodeToTesseract(language),
+      autoOrient: parseBoolean(autoOrient, ocrService.autoOrient),
+      outputFormat,
+      confidenceThreshold: parseNumber(confidenceThreshold),
+      vocabulary: await loadVocabulary(req, language)
+    };
+
     // Validate file type
-    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    if (!allowedMimeTypes.includes(mimeType)) {
+    if (ocrService.isDocument(mimeType)) {
+      return await extractTextFromDocument(req, res, language, ocrOptions);
+    }
+
+    if (!ocrService.supportedMimeTypes.includes(mimeType)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid file type. Supported formats: JPEG, JPG, PNG, WebP'
+        message: 'Invalid file type. Supported formats: JPEG, JPG, PNG, WebP, TIFF, PDF'
+      });
+    }
+
+    if (req.file.size > ocrService.maxImageSize) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image too large. Maximum size is 5MB (20MB for PDF/TIFF documents).'
       });
     }
 
     // Extract text using OCR service
-     const result = await ocrService.extractTextFromImage(imageBuffer, {
-      languages: mapLangCodeToTesseract(language)
+    const result = await ocrService.extractTextFromImage(imageBuffer, ocrOptions);
+
+    const record = await ocrService.saveOcrRecord(req.user.userId, result, {
+      requestedLanguage: language,
+      mimeType
     });
 
     res.status(200).json({
       success: true,
       message: 'Text extracted successfully',
       data: {
+        recordId: record.recordId,
+        reviewStatus: record.reviewStatus,
         extractedText: result.text,
         confidence: result.confidence,
         language: language,
         detectedLanguage: result.language || 'unknown',
+        scriptAnalysis: result.scriptAnalysis,
         wordCount: result.words?.length || 0,
+        orientation: result.orientation,
+        cached: result.cached,
+        ...reviewFields(result),
+        ...layoutFields(result),
         processingTime: result.processingTime || null
       }
     });
@@ -80,13 +246,41 @@ const extractText = async (req, res) => {
       });
     }
 
-    if (error.message.includes('invalid image')) {
+    if (isInvalidImageError(error)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or corrupted image file'
       });
     }
 
+    if (error.message.includes('Invalid document')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or corrupted PDF/TIFF document'
+      });
+    }
+
+    if (error.message.includes('too many pages')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('OCR queue')) {
+      return res.status(503).json({
+        success: false,
+        message: 'OCR service is busy. Please try again shortly.'
+      });
+    }
+
+    if (error.message.includes('OCR timed out')) {
+      return res.status(504).json({
+        success: false,
+        message: 'OCR processing timed out. Try a smaller or clearer image.'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error during text extraction',
@@ -96,12 +290,263 @@ const extractText = async (req, res) => {
 };
 
 
+/**
+ * Extract text from multiple page images (e.g. notebook pages) in upload order
+ * Pages that fail are reported individually without aborting the batch
+ */
+const extractTextBatch = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image files uploaded'
+      });
+    }
+
+    const { language = 'en', autoOrient, outputFormat, confidenceThreshold } = req.body;
+
+    // Validate supported languages
+    const supportedLanguages = ['en', 'hi', 'pa'];
+    if (!supportedLanguages.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language. Supported languages: English (en), Hindi (hi), Punjabi (pa)'
+      });
+    }
+
+    const oversized = req.files.find(file => file.size > ocrService.maxImageSize);
+    if (oversized) {
+      return res.status(400).json({
+        success: false,
+        message: `Image '${oversized.originalname}' is too large. Maximum size per page is 5MB.`
+      });
+    }
+
+    const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > ocrService.maxBatchSize) {
+      return res.status(413).json({
+        success: false,
+        message: `Batch upload too large. Maximum total size is ${ocrService.maxBatchSize / (1024 * 1024)}MB.`
+      });
+    }
+
+    const batch = await ocrService.extractTextFromMultipleImages(
+      req.files.map(file => file.buffer),
+      {
+        languages: mapLangCodeToTesseract(language),
+        autoOrient: parseBoolean(autoOrient, ocrService.autoOrient),
+        outputFormat,
+        confidenceThreshold: parseNumber(confidenceThreshold),
+        vocabulary: await loadVocabulary(req, language)
+      }
+    );
+
+    const pages = await savePageResults(
+      req.user.userId,
+      batch,
+      language,
+      result => req.files[result.index].mimetype
+    );
+
+    if (!batch.success) {
+      return res.status(422).json({
+        success: false,
+        message: 'Text could not be extracted from any of the uploaded pages',
+        data: { pages }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: batch.failedPages.length
+        ? `Text extracted from ${batch.successfulPages} of ${batch.totalProcessed} pages`
+        : 'Text extracted successfully from all pages',
+      data: {
+        pages,
+        mergedDocument: batch.mergedDocument,
+        language: language,
+        totalPages: batch.totalProcessed,
+        successfulPages: batch.successfulPages,
+        failedPages: batch.failedPages
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch OCR extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during batch text extraction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Extract text from a handwritten page and check its grammar in one call
+ * Grammar is checked in the language detected on the page (the requested language
+ * when no script could be detected); the result is stored as a learning record (UserData)
+ */
+const checkHandwriting = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file uploaded'
+      });
+    }
+
+    const { language = 'en', autoOrient, confidenceThreshold } = req.body;
+    const { buffer: imageBuffer, mimetype: mimeType } = req.file;
+
+    const supportedLanguages = ['en', 'hi', 'pa'];
+    if (!supportedLanguages.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language. Supported languages: English (en), Hindi (hi), Punjabi (pa)'
+      });
+    }
+
+    if (!ocrService.supportedMimeTypes.includes(mimeType) || req.file.size > ocrService.maxImageSize) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a single JPEG, PNG or WebP image of up to 5MB.'
+      });
+    }
+
+    const result = await ocrService.extractTextFromImage(imageBuffer, {
+      languages: mapLangCodeToTesseract(language),
+      autoOrient: parseBoolean(autoOrient, ocrService.autoOrient),
+      confidenceThreshold: parseNumber(confidenceThreshold),
+      vocabulary: await loadVocabulary(req, language)
+    });
+
+    const ocrRecord = await ocrService.saveOcrRecord(req.user.userId, result, {
+      requestedLanguage: language,
+      mimeType
+    });
+
+    if (!result.text) {
+      return res.status(422).json({
+        success: false,
+        message: 'No text could be extracted from the image',
+        data: { ocrRecordId: ocrRecord.recordId }
+      });
+    }
+
+    // Formulas are left out of the grammar check; correctedText is the corrected prose,
+    // so the learning record pairs it with the prose that was checked. The linked
+    // OcrRecord keeps the full text including formulas.
+    const checkedText = result.proseText;
+    if (!checkedText) {
+      return res.status(422).json({
+        success: false,
+        message: 'Only formulas were found in the image; there is no text to check',
+        data: { ocrRecordId: ocrRecord.recordId, mathRegions: result.mathRegions }
+      });
+    }
+
+    if (checkedText.length > 5000) {
+      return res.status(422).json({
+        success: false,
+        message: 'Extracted text exceeds maximum length of 5000 characters for grammar checking.',
+        data: { ocrRecordId: ocrRecord.recordId }
+      });
+    }
+
+    const grammarLanguage = result.language && result.language !== 'unknown'
+      ? result.language
+      : ocrService.languageProfiles[language].name.toLowerCase();
+
+    const grammar = await grammarService.correctGrammar(checkedText, grammarLanguage, { checkType: 'comprehensive' });
+    const correctedText = grammar.corrected || checkedText;
+
+    const record = await userService.saveUserRecord(req.user.userId, {
+      extractedText: checkedText,
+      correctedText,
+      language: ocrService.getLanguageCode(grammarLanguage),
+      source: 'ocr',
+      ocrRecordId: ocrRecord.recordId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Text extracted and checked successfully',
+      data: {
+        recordId: record.id,
+        ocrRecordId: ocrRecord.recordId,
+        extractedText: result.text,
+        checkedText,
+        correctedText,
+        mathRegions: result.mathRegions,
+        language,
+        detectedLanguage: result.language || 'unknown',
+        scriptAnalysis: result.scriptAnalysis,
+        ocr: {
+          confidence: result.confidence,
+          wordCount: result.words?.length || 0,
+          orientation: result.orientation,
+          cached: result.cached,
+          reviewStatus: ocrRecord.reviewStatus,
+          ...reviewFields(result)
+        },
+        grammar: {
+          language: grammar.language,
+          provider: grammar.provider,
+          fallback: grammar.fallback,
+          limited: grammar.limited,
+          changes: grammar.changes || [],
+          suggestions: grammar.suggestions || [],
+          confidence: grammar.confidence
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('OCR grammar check error:', error);
+
+    if (isInvalidImageError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or corrupted image file'
+      });
+    }
+
+    if (error.message.includes('OCR queue')) {
+      return res.status(503).json({
+        success: false,
+        message: 'OCR service is busy. Please try again shortly.'
+      });
+    }
+
+    if (error.message.includes('OCR timed out')) {
+      return res.status(504).json({
+        success: false,
+        message: 'OCR processing timed out. Try a smaller or clearer image.'
+      });
+    }
+
+    if (error.message.toLowerCase().includes('quota')) {
+      return res.status(429).json({
+        success: false,
+        message: 'Grammar check quota exceeded. Please try again later.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during text extraction and grammar check',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get OCR processing history for a user
  */
 const getOcrHistory = async (req, res) => {
   try {
-    const { userId } = req.user; // Assuming user is attached via auth middleware
+    // Resolved by authorizeUserScope: the user themselves, or :userId for teachers/admins
+    const userId = req.targetUserId;
     const { page = 1, limit = 10, language } = req.query;
 
     const history = await ocrService.getUserOcrHistory(userId, {
@@ -132,7 +577,8 @@ const getOcrHistory = async (req, res) => {
 const deleteOcrRecord = async (req, res) => {
   try {
     const { recordId } = req.params;
-    const { userId } = req.user;
+    // Ownership is enforced by authorizeOwnership; admins may delete records of other users
+    const userId = req.resourceOwnerId || req.user.userId;
 
     const deleted = await ocrService.deleteOcrRecord(recordId, userId);
 
@@ -158,6 +604,89 @@ const deleteOcrRecord = async (req, res) => {
   }
 };
 
+/**
+ * Get a single OCR record with its words, low-confidence flags and corrections
+ */
+const getOcrRecord = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    // Access is enforced by authorizeOwnership (owner, class teacher or admin)
+    const userId = req.resourceOwnerId || req.user.userId;
+
+    const record = await ocrService.getOcrRecord(recordId, userId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR record not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR record retrieved successfully',
+      data: record
+    });
+
+  } catch (error) {
+    console.error('Get OCR record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve OCR record',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Submit human corrections for recognised (typically low-confidence) words
+ * The raw OCR text is kept; the record stores the corrected transcript alongside it
+ */
+const submitCorrections = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const { corrections } = req.body;
+    const userId = req.resourceOwnerId || req.user.userId;
+
+    const record = await ocrService.applyCorrections(recordId, userId, corrections);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR record not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR corrections saved successfully',
+      data: {
+        recordId: record.recordId,
+        rawText: record.text,
+        correctedText: record.correctedText,
+        corrections: record.corrections,
+        reviewStatus: record.reviewStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('OCR corrections error:', error);
+
+    if (error.message.includes('Invalid correction')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save OCR corrections',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get supported languages and their capabilities
  */
@@ -181,17 +710,53 @@ const getSupportedLanguages = async (req, res) => {
   }
 };
 
+/**
+ * Extract text after applying a caller-defined preprocessing pipeline
+ * The pipeline is a JSON array of steps applied in order, e.g.
+ * [{"op":"grayscale"},{"op":"threshold","method":"otsu"},{"op":"resize","scale":2}]
+ */
 const extractTextWithPreprocessing = async (req, res) => {
   try {
-    const image = req.file.buffer;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file uploaded'
+      });
+    }
 
-    const preprocessOptions = {
-      brightness: { alpha: 0.1 },
-      contrast: { alpha: 0.1 },
-      rotate: { angle: 0 } // Optional: Set angle if needed
-    };
+    if (!ocrService.supportedMimeTypes.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Preprocessing supports single images only. Supported formats: JPEG, JPG, PNG, WebP'
+      });
+    }
+
+    if (req.file.size > ocrService.maxImageSize) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image too large. Maximum size is 5MB.'
+      });
+    }
 
-    const result = await ocrService.extractTextWithPreprocessing(image, preprocessOptions);
+    const { language, pipeline, includePreview, autoOrient, outputFormat, confidenceThreshold } = req.body;
+
+    const supportedLanguages = ['en', 'hi', 'pa'];
+    if (language && !supportedLanguages.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language. Supported languages: English (en), Hindi (hi), Punjabi (pa)'
+      });
+    }
+
+    const result = await ocrService.extractTextWithPreprocessing(req.file.buffer, pipeline, {
+      // Without an explicit language, recognise all supported scripts
+      ...(language && { languages: mapLangCodeToTesseract(language) }),
+      includePreview: parseBoolean(includePreview, false),
+      autoOrient: parseBoolean(autoOrient, ocrService.autoOrient),
+      outputFormat,
+      confidenceThreshold: parseNumber(confidenceThreshold),
+      vocabulary: await loadVocabulary(req, language)
+    });
 
     res.status(200).json({
       success: true,
@@ -199,21 +764,62 @@ const extractTextWithPreprocessing = async (req, res) => {
       data: {
         extractedText: result.text,
         confidence: result.confidence,
-        preprocessingApplied: result.preprocessingApplied
+        detectedLanguage: result.language || 'unknown',
+        scriptAnalysis: result.scriptAnalysis,
+        orientation: result.orientation,
+        cached: result.cached,
+        ...reviewFields(result),
+        ...layoutFields(result),
+        preprocessingApplied: result.preprocessingApplied,
+        processedImage: result.processedImage
       }
     });
   } catch (error) {
+    console.error('OCR preprocessing error:', error);
+
+    if (error.message.includes('Invalid preprocessing')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message.replace('OCR with preprocessing failed: ', '')
+      });
+    }
+
+    if (isInvalidImageError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or corrupted image file'
+      });
+    }
+
+    if (error.message.includes('OCR queue')) {
+      return res.status(503).json({
+        success: false,
+        message: 'OCR service is busy. Please try again shortly.'
+      });
+    }
+
+    if (error.message.includes('OCR timed out')) {
+      return res.status(504).json({
+        success: false,
+        message: 'OCR processing timed out. Try a smaller or clearer image.'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'OCR with preprocessing failed',
-      error: error.message
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 module.exports = {
   extractText,
+  extractTextBatch,
+  checkHandwriting,
   getOcrHistory,
+  getOcrRecord,
+  submitCorrections,
   deleteOcrRecord,
   getSupportedLanguages,
   extractTextWithPreprocessing
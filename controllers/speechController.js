@@ -194,6 +194,7 @@ const speechToText = async (req, res) => {
         confidence: result.confidence,
         language: language,
         detectedLanguage: result.detectedLanguage,
+        scriptAnalysis: result.scriptAnalysis,
         alternatives: result.alternatives,
         wordTimestamps: result.wordTimestamps,
         speakerInfo: result.speakerInfo,
@@ -340,7 +341,8 @@ const getPronunciationStats = async (req, res) => {
 const deletePronunciationRecord = async (req, res) => {
   try {
     const { recordId } = req.params;
-    const { userId } = req.user;
+    // Ownership is enforced by authorizeOwnership; admins may delete records of other users
+    const userId = req.resourceOwnerId || req.user.userId;
 
     const deleted = await speechService.deletePronunciationRecord(recordId, userId);
 
@@ -0,0 +1,78 @@
+const userService = require('../services/userService');
+
+/**
+ * Get learning records (extracted/corrected text, pronunciation scores) of a user
+ * Access is resolved by authorizeUserScope (self, teacher of the student's class, or admin)
+ */
+const getUserRecords = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, language } = req.query;
+
+    const records = await userService.getUserRecords(req.targetUserId, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      language
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User records retrieved successfully',
+      data: records
+    });
+
+  } catch (error) {
+    console.error('Get user records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve user records',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update role and class membership of a user (admin only)
+ */
+const updateUserAccess = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, classes } = req.body;
+
+    const user = await userService.updateUserAccess(userId, { role, classes });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User access updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user access error:', error);
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role or classes',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user access',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getUserRecords,
+  updateUserAccess
+};
@@ -0,0 +1,170 @@
+const vocabularyService = require('../services/vocabularyService');
+
+/**
+ * Manage OCR word lists (per user and per class)
+ * Access to :scope/:ownerId is checked by authorizeVocabulary in routes/ocr.js
+ */
+
+/**
+ * Get every list that applies to the user (their own and their classes')
+ */
+const getVocabularies = async (req, res) => {
+  try {
+    const { language } = req.query;
+
+    const lists = await vocabularyService.getListsForUser(req.user, language);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vocabularies retrieved successfully',
+      data: lists
+    });
+
+  } catch (error) {
+    console.error('Get vocabularies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve vocabularies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single list
+ */
+const getVocabulary = async (req, res) => {
+  try {
+    const { scope, ownerId, language } = req.params;
+
+    const list = await vocabularyService.getList(scope, ownerId, language);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vocabulary not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vocabulary retrieved successfully',
+      data: list
+    });
+
+  } catch (error) {
+    console.error('Get vocabulary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve vocabulary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create or replace a list
+ */
+const saveVocabulary = async (req, res) => {
+  try {
+    const { scope, ownerId, language } = req.params;
+    const { words, patterns } = req.body;
+
+    const list = await vocabularyService.saveList(scope, ownerId, language, { words, patterns }, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vocabulary saved successfully',
+      data: list
+    });
+
+  } catch (error) {
+    console.error('Save vocabulary error:', error);
+
+    if (error.message.includes('Invalid vocabulary')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save vocabulary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add and/or remove entries of a list
+ */
+const updateVocabulary = async (req, res) => {
+  try {
+    const { scope, ownerId, language } = req.params;
+    const { add, remove } = req.body;
+
+    const list = await vocabularyService.updateList(scope, ownerId, language, { add, remove }, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vocabulary updated successfully',
+      data: list
+    });
+
+  } catch (error) {
+    console.error('Update vocabulary error:', error);
+
+    if (error.message.includes('Invalid vocabulary')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update vocabulary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a list
+ */
+const deleteVocabulary = async (req, res) => {
+  try {
+    const { scope, ownerId, language } = req.params;
+
+    const deleted = await vocabularyService.deleteList(scope, ownerId, language);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vocabulary not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vocabulary deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete vocabulary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete vocabulary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getVocabularies,
+  getVocabulary,
+  saveVocabulary,
+  updateVocabulary,
+  deleteVocabulary
+};
@@ -0,0 +1,139 @@
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.get('Authorization') || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  return scheme === 'Bearer' && token ? token.trim() : null;
+};
+
+/**
+ * Verify the bearer access token and attach the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required. Provide a Bearer token in the Authorization header.'
+    });
+  }
+
+  try {
+    req.user = await authService.authenticate(token);
+    next();
+  } catch (error) {
+    const tokenErrors = ['Token expired', 'Invalid token', 'Invalid token type', 'User no longer exists'];
+    if (!tokenErrors.includes(error.message)) {
+      return next(error);
+    }
+
+    res.status(401).json({
+      success: false,
+      message: error.message === 'Token expired'
+        ? 'Access token expired. Please refresh your session.'
+        : 'Invalid or expired authentication token'
+    });
+  }
+};
+
+/**
+ * Restrict a route to the given roles
+ * Usage: router.post('/', authorize('teacher', 'admin'), handler)
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Enforce ownership of the record a route operates on
+ * getOwnerId(req) resolves the userId owning the record (or null when it does not exist).
+ * Reads are allowed for the owner, teachers of the owner's classes and admins;
+ * writes (any non-GET request) only for the owner and admins.
+ * The resolved owner is exposed to handlers as req.resourceOwnerId.
+ */
+const authorizeOwnership = (getOwnerId) => async (req, res, next) => {
+  try {
+    const ownerId = await getOwnerId(req);
+
+    if (!ownerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found or access denied'
+      });
+    }
+
+    const allowed = await userService.canAccessUser(req.user, ownerId, {
+      write: req.method !== 'GET'
+    });
+
+    if (!allowed) {
+      // Do not reveal whether records of other users exist
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found or access denied'
+      });
+    }
+
+    req.resourceOwnerId = ownerId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve whose data a listing route should return
+ * Defaults to the authenticated user; teachers and admins may read another user's data
+ * through a :userId route param. Query strings are ignored, so /me routes always
+ * resolve to the authenticated user.
+ * The resolved user is exposed to handlers as req.targetUserId.
+ */
+const authorizeUserScope = async (req, res, next) => {
+  try {
+    const targetUserId = req.params.userId || req.user.userId;
+
+    const allowed = await userService.canAccessUser(req.user, targetUserId, {
+      write: req.method !== 'GET'
+    });
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access data of this user.'
+      });
+    }
+
+    req.targetUserId = targetUserId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  authorize,
+  authorizeOwnership,
+  authorizeUserScope
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// One error found by a grammar check (offsets point into originalText)
+const grammarErrorSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['grammar', 'spelling', 'punctuation', 'style', 'word_choice', 'agreement', 'other'],
+    default: 'other'
+  },
+  original: {
+    type: String,
+    default: ''
+  },
+  start: Number,
+  end: Number,
+  replacement: {
+    type: String,
+    default: ''
+  },
+  explanation: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Define the GrammarRecord schema
+const grammarRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  originalText: {
+    type: String,
+    required: true
+  },
+  correctedText: {
+    type: String,
+    default: ''
+  },
+  grammarErrors: {
+    // Named so it does not shadow Mongoose's document.errors; serialised as `errors`
+    type: [grammarErrorSchema],
+    default: []
+  },
+  language: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['en', 'hi', 'pa'],
+      message: 'Language must be one of: en (English), hi (Hindi), pa (Punjabi)'
+    }
+  },
+  checkType: {
+    type: String,
+    enum: ['comprehensive', 'spelling', 'grammar', 'punctuation', 'style'],
+    required: true
+  },
+  categoriesChecked: {
+    type: [String],
+    default: []
+  },
+  structured: {
+    // False when the errors were derived from the diff because the model response was unusable
+    type: Boolean,
+    default: true
+  },
+  score: {
+    // Share of words without an error (0-100)
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timestamps: false, // We're using our own timestamp field
+  versionKey: false
+});
+
+// Add indexes for history and statistics queries
+grammarRecordSchema.index({ userId: 1, timestamp: -1 });
+grammarRecordSchema.index({ userId: 1, language: 1, timestamp: -1 });
+
+grammarRecordSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.recordId = ret._id.toString();
+    ret.errors = ret.grammarErrors;
+    delete ret._id;
+    delete ret.grammarErrors;
+    return ret;
+  }
+});
+
+// Create and export the model
+const GrammarRecord = mongoose.model('GrammarRecord', grammarRecordSchema);
+
+module.exports = GrammarRecord;
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+// Bounding box as reported by Tesseract (pixel coordinates)
+const bboxSchema = new mongoose.Schema({
+  x0: Number,
+  y0: Number,
+  x1: Number,
+  y1: Number
+}, { _id: false });
+
+const ocrWordSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  script: {
+    type: String,
+    enum: ['devanagari', 'gurmukhi', 'latin', 'other', 'common']
+  },
+  lowConfidence: {
+    // Below the confidence threshold at recognition time; needs human review
+    type: Boolean,
+    default: false
+  },
+  originalText: {
+    // Recognised text before it was snapped to a vocabulary entry
+    type: String
+  },
+  math: {
+    // Part of a detected formula region
+    type: Boolean,
+    default: false
+  },
+  bbox: bboxSchema
+}, { _id: false });
+
+// Likely formula area (wordIndexes point into `words`)
+const ocrMathRegionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['display', 'inline'],
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  bbox: bboxSchema,
+  score: Number,
+  reasons: [String],
+  wordIndexes: [Number]
+}, { _id: false });
+
+// Human correction of a recognised word (wordIndex points into `words`)
+const ocrCorrectionSchema = new mongoose.Schema({
+  wordIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  original: {
+    type: String,
+    required: true
+  },
+  corrected: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  correctedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Define the OcrRecord schema
+const ocrRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  text: {
+    // Raw OCR output; human corrections are applied to correctedText only
+    type: String,
+    default: ''
+  },
+  correctedText: {
+    type: String,
+    default: null
+  },
+  corrections: {
+    type: [ocrCorrectionSchema],
+    default: []
+  },
+  confidenceThreshold: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  reviewStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'reviewed'],
+    default: 'not_required'
+  },
+  confidence: {
+    type: Number,
+    default: null
+  },
+  words: {
+    type: [ocrWordSchema],
+    default: []
+  },
+  mathRegions: {
+    type: [ocrMathRegionSchema],
+    default: []
+  },
+  requestedLanguage: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['en', 'hi', 'pa'],
+      message: 'Language must be one of: en (English), hi (Hindi), pa (Punjabi)'
+    }
+  },
+  detectedLanguage: {
+    type: String,
+    enum: ['english', 'hindi', 'punjabi', 'unknown'],
+    default: 'unknown'
+  },
+  imageHash: {
+    // Only set for images received as data; file paths and URLs are not hashed
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String
+  },
+  page: {
+    // 1-based page number when the record comes from a multi-page PDF/TIFF document
+    type: Number,
+    min: 1,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timestamps: false, // We're using our own timestamp field
+  versionKey: false
+});
+
+// Add indexes for history queries and duplicate lookups
+ocrRecordSchema.index({ userId: 1, timestamp: -1 });
+ocrRecordSchema.index({ userId: 1, requestedLanguage: 1, timestamp: -1 });
+ocrRecordSchema.index({ imageHash: 1 });
+
+ocrRecordSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.recordId = ret._id.toString();
+    delete ret._id;
+    return ret;
+  }
+});
+
+// Create and export the model
+const OcrRecord = mongoose.model('OcrRecord', ocrRecordSchema);
+
+module.exports = OcrRecord;
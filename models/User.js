@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Define the User schema
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false // Never return the hash unless explicitly requested
+  },
+  preferredLanguage: {
+    type: String,
+    default: 'en',
+    enum: {
+      values: ['en', 'hi', 'pa'],
+      message: 'Preferred language must be one of: en (English), hi (Hindi), pa (Punjabi)'
+    }
+  },
+  role: {
+    type: String,
+    default: 'student',
+    enum: {
+      values: ['student', 'teacher', 'admin'],
+      message: 'Role must be one of: student, teacher, admin'
+    }
+  },
+  classes: [{
+    // Class codes a student is enrolled in or a teacher teaches
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Add indexes for class-based lookups by teachers
+userSchema.index({ classes: 1, role: 1 });
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12;
+    this.password = await bcrypt.hash(this.password, saltRounds);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a plain-text password against the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Strip sensitive fields from API responses
+userSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.userId = ret._id.toString();
+    delete ret._id;
+    delete ret.password;
+    return ret;
+  }
+});
+
+// Create and export the model
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -18,17 +18,29 @@ const userDataSchema = new mongoose.Schema({
     trim: true
   },
   pronunciationScore: {
+    // Only set for speech practice; handwriting checks have no pronunciation
     type: Number,
-    required: true,
+    required: false,
+    default: null,
     min: 0,
     max: 100,
     validate: {
       validator: function(value) {
-        return value >= 0 && value <= 100;
+        return value === null || (value >= 0 && value <= 100);
       },
       message: 'Pronunciation score must be between 0 and 100'
     }
   },
+  source: {
+    type: String,
+    enum: ['speech', 'ocr'],
+    default: 'speech'
+  },
+  ocrRecordId: {
+    // OcrRecord the extracted text came from (source 'ocr')
+    type: String,
+    default: null
+  },
   language: {
     type: String,
     required: true,
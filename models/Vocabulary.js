@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Custom word list used to bias OCR towards subject-specific terms
+const vocabularySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['user', 'class'],
+      message: 'Scope must be one of: user, class'
+    }
+  },
+  ownerId: {
+    // userId for user lists, class code (e.g. '7A') for class lists
+    type: String,
+    required: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['en', 'hi', 'pa'],
+      message: 'Language must be one of: en (English), hi (Hindi), pa (Punjabi)'
+    }
+  },
+  words: {
+    type: [String],
+    default: []
+  },
+  patterns: {
+    // Tesseract user patterns, e.g. '\\d\\d\\d-\\d\\d' for roll numbers
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// One list per owner and language
+vocabularySchema.index({ scope: 1, ownerId: 1, language: 1 }, { unique: true });
+
+vocabularySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.vocabularyId = ret._id.toString();
+    delete ret._id;
+    return ret;
+  }
+});
+
+const Vocabulary = mongoose.model('Vocabulary', vocabularySchema);
+
+module.exports = Vocabulary;
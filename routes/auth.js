@@ -0,0 +1,74 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware for registration requests
+const validateRegisterRequest = (req, res, next) => {
+  const { name, email, password, preferredLanguage } = req.body;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name is required for registration.'
+    });
+  }
+
+  if (!email || typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid email address is required.'
+    });
+  }
+
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must be at least 8 characters long.'
+    });
+  }
+
+  // Use standard language codes: 'en' for English, 'hi' for Hindi, 'pa' for Punjabi
+  const supportedLanguages = ['en', 'hi', 'pa'];
+  if (preferredLanguage !== undefined) {
+    if (typeof preferredLanguage !== 'string' || !supportedLanguages.includes(preferredLanguage.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supported languages are: English (en), Hindi (hi), Punjabi (pa).'
+      });
+    }
+
+    req.body.preferredLanguage = preferredLanguage.toLowerCase();
+  }
+
+  next();
+};
+
+// Validation middleware for login requests
+const validateLoginRequest = (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Email and password are required.'
+    });
+  }
+
+  next();
+};
+
+// POST /api/auth/register - Create a new user account
+router.post('/register', validateRegisterRequest, authController.register);
+
+// POST /api/auth/login - Log in and receive access/refresh tokens
+router.post('/login', validateLoginRequest, authController.login);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', authController.refreshToken);
+
+// GET /api/auth/me - Get the currently authenticated user
+router.get('/me', authenticate, authController.getCurrentUser);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
+const chatService = require('../services/chatService');
+const { authorizeOwnership } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -52,20 +54,23 @@ const validateSessionRequest = (req, res, next) => {
   next();
 };
 
+// Ownership guard for session routes: students only see their own sessions
+const authorizeSession = authorizeOwnership(req => chatService.getSessionOwner(req.params.sessionId));
+
 // POST /api/chat - Send a message to AI tutor
 router.post('/', validateChatRequest, chatController.sendMessage);
 
 // POST /api/chat/session/:sessionId - Continue conversation in a session
-router.post('/session/:sessionId', validateSessionRequest, validateChatRequest, chatController.continueSession);
+router.post('/session/:sessionId', validateSessionRequest, authorizeSession, validateChatRequest, chatController.continueSession);
 
 // GET /api/chat/history/:sessionId - Get chat history for a session
-router.get('/history/:sessionId', validateSessionRequest, chatController.getChatHistory);
+router.get('/history/:sessionId', validateSessionRequest, authorizeSession, chatController.getChatHistory);
 
 // POST /api/chat/session - Create a new chat session
 router.post('/session', chatController.createSession);
 
 // DELETE /api/chat/session/:sessionId - Delete a chat session
-router.delete('/session/:sessionId', validateSessionRequest, chatController.deleteSession);
+router.delete('/session/:sessionId', validateSessionRequest, authorizeSession, chatController.deleteSession);
 
 // GET /api/chat/sessions - Get all chat sessions for a user (if authentication is implemented)
 router.get('/sessions', chatController.getUserSessions);
@@ -1,5 +1,7 @@
 const express = require('express');
 const grammarController = require('../controllers/grammarController');
+const grammarService = require('../services/grammarService');
+const { authorizeUserScope } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -31,7 +33,132 @@ const validateGrammarRequest = (req, res, next) => {
   next();
 };
 
-// POST /api/grammar - Check grammar and provide corrections
+// Validation middleware for style options
+const validateStyleOptions = (req, res, next) => {
+  const { styleType, audience } = req.body;
+
+  if (styleType !== undefined && !grammarService.styleTypes.includes(styleType)) {
+    return res.status(400).json({
+      success: false,
+      message: `Style type must be one of: ${grammarService.styleTypes.join(', ')}.`
+    });
+  }
+
+  if (audience !== undefined && (typeof audience !== 'string' || audience.length > 100)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Audience must be a short description of at most 100 characters.'
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for history and statistics queries
+const validateHistoryQuery = (req, res, next) => {
+  const { page, limit, language, checkType, timeRange } = req.query;
+
+  if ((page && !(parseInt(page) >= 1)) || (limit && !(parseInt(limit) >= 1 && parseInt(limit) <= 100))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Page must be a positive number and limit must be between 1 and 100.'
+    });
+  }
+
+  const supportedLanguages = ['en', 'hi', 'pa'];
+  if (language && !supportedLanguages.includes(language)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Supported languages are: English (en), Hindi (hi), Punjabi (pa).'
+    });
+  }
+
+  if (checkType && !grammarService.checkTypeCategories[checkType]) {
+    return res.status(400).json({
+      success: false,
+      message: `Check type must be one of: ${Object.keys(grammarService.checkTypeCategories).join(', ')}.`
+    });
+  }
+
+  if (timeRange && !grammarService.statsTimeRanges[timeRange]) {
+    return res.status(400).json({
+      success: false,
+      message: `Time range must be one of: ${Object.keys(grammarService.statsTimeRanges).join(', ')}.`
+    });
+  }
+
+  next();
+};
+
+// POST /api/grammar - Check grammar and provide corrections (each check is saved to the history)
+// Body: { text, language?, checkType?, provider?: 'gemini' | 'languagetool' }
 router.post('/', validateGrammarRequest, grammarController.checkGrammar);
 
+/**
+ * @route   GET /api/grammar/history
+ * @desc    Get paginated grammar check history of the authenticated user
+ * @query   page, limit, language: 'en' | 'hi' | 'pa', checkType
+ */
+router.get('/history', validateHistoryQuery, authorizeUserScope, grammarController.getGrammarHistory);
+
+/**
+ * @route   GET /api/grammar/history/:userId
+ * @desc    Get paginated grammar check history of a user (self, class teacher or admin)
+ * @query   page, limit, language: 'en' | 'hi' | 'pa', checkType
+ */
+router.get('/history/:userId', validateHistoryQuery, authorizeUserScope, grammarController.getGrammarHistory);
+
+/**
+ * @route   GET /api/grammar/stats
+ * @desc    Error counts by category and language, and recurring mistakes of the authenticated user
+ * @query   timeRange: '7d' | '30d' (default) | '90d', language: 'en' | 'hi' | 'pa'
+ */
+router.get('/stats', validateHistoryQuery, authorizeUserScope, grammarController.getGrammarStats);
+
+/**
+ * @route   GET /api/grammar/stats/:userId
+ * @desc    Grammar statistics of a user (self, class teacher or admin)
+ * @query   timeRange: '7d' | '30d' (default) | '90d', language: 'en' | 'hi' | 'pa'
+ */
+router.get('/stats/:userId', validateHistoryQuery, authorizeUserScope, grammarController.getGrammarStats);
+
+/**
+ * @route   POST /api/grammar/batch
+ * @desc    Check up to 20 texts (2000 characters each) in one request
+ * @body    { texts: string[], language?: 'en' | 'hi' | 'pa', checkType?: string, provider?: 'gemini' | 'languagetool' }
+ */
+router.post('/batch', grammarController.batchGrammarCheck);
+
+/**
+ * @route   POST /api/grammar/explain
+ * @desc    Explain grammar errors with the rule, examples and a practice exercise
+ * @body    {
+ *            text: string,
+ *            language?: 'en' | 'hi' | 'pa',
+ *            error?: { original: string, replacement: string, category?, start?, end? },
+ *            errorType?: error category to explain when no error is given,
+ *            explanationLanguage?: 'en' | 'hi' | 'pa' (defaults to the user's preferred language)
+ *          }
+ */
+router.post('/explain', validateGrammarRequest, grammarController.getGrammarSuggestions);
+
+/**
+ * @route   POST /api/grammar/style
+ * @desc    Improve style and clarity of a text
+ * @body    {
+ *            text: string,
+ *            language?: 'en' | 'hi' | 'pa',
+ *            styleType?: 'general' | 'formal' | 'informal' | 'academic' | 'simple' | 'creative',
+ *            audience?: string, e.g. 'class 6 students'
+ *          }
+ */
+router.post('/style', validateGrammarRequest, validateStyleOptions, grammarController.improveStyle);
+
+/**
+ * @route   POST /api/grammar/analyze
+ * @desc    Grammar correction, style improvement and recommendations together
+ * @body    { text: string, language?: 'en' | 'hi' | 'pa', styleType?, audience?, context?: string, provider? }
+ */
+router.post('/analyze', validateGrammarRequest, validateStyleOptions, grammarController.analyzeText);
+
 module.exports = router;
@@ -1,36 +1,389 @@
 const express = require('express');
 const multer = require('multer');
 const ocrController = require('../controllers/ocrController');
+const vocabularyController = require('../controllers/vocabularyController');
+const ocrService = require('../services/ocrService');
+const userService = require('../services/userService');
+const vocabularyService = require('../services/vocabularyService');
+const OcrRecord = require('../models/OcrRecord');
+const { authorizeOwnership, authorizeUserScope } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
+const fileFilter = (req, file, cb) => {
+  if (ocrService.supportedMimeTypes.includes(file.mimetype) || ocrService.isDocument(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only JPEG, PNG, JPG, WebP, TIFF and PDF files are allowed'), false);
+  }
+};
+
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: ocrService.maxDocumentSize, // 20MB for PDF/TIFF, images are limited to 5MB in the controller
   },
-  fileFilter: (req, file, cb) => {
-    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    if (allowedMimeTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only JPEG, PNG, JPG, and WebP images are allowed'), false);
-    }
+  fileFilter
+});
+
+// Batches are page images only; PDF/TIFF documents go to the single upload, which splits their pages
+const batchFileFilter = (req, file, cb) => {
+  if (ocrService.supportedMimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Batch uploads accept page images only'), false);
   }
+};
+
+// Batch uploads hold every page in memory, so pages get the image limit rather than the document one
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: ocrService.maxImageSize,
+    files: ocrService.maxBatchPages
+  },
+  fileFilter: batchFileFilter
 });
 
+const batchTooLarge = (res) => res.status(413).set('Connection', 'close').json({
+  success: false,
+  message: `Batch upload too large. Maximum total size is ${ocrService.maxBatchSize / (1024 * 1024)}MB.`
+});
+
+// Reject batch uploads above the total size: up front from Content-Length, and while the body
+// streams for chunked requests or a Content-Length that understates the body
+const limitBatchSize = (req, res, next) => {
+  const contentLength = parseInt(req.headers['content-length'], 10);
+
+  if (contentLength > ocrService.maxBatchSize) {
+    return batchTooLarge(res);
+  }
+
+  let receivedBytes = 0;
+  const countBytes = (chunk) => {
+    receivedBytes += chunk.length;
+    if (receivedBytes <= ocrService.maxBatchSize) return;
+
+    req.removeListener('data', countBytes);
+    // Detach multer so the pages buffered so far are dropped, and discard the rest of the body
+    req.unpipe();
+    req.resume();
+    if (!res.headersSent) batchTooLarge(res);
+  };
+  req.on('data', countBytes);
+
+  next();
+};
+
+// Validation middleware for optional OCR settings (runs after multer parses the body)
+const validateOcrOptions = (req, res, next) => {
+  const { outputFormat, confidenceThreshold } = req.body;
+
+  if (outputFormat !== undefined && !ocrService.outputFormats.includes(outputFormat)) {
+    return res.status(400).json({
+      success: false,
+      message: `Output format must be one of: ${ocrService.outputFormats.join(', ')}.`
+    });
+  }
+
+  if (confidenceThreshold !== undefined && confidenceThreshold !== '') {
+    const threshold = Number(confidenceThreshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confidence threshold must be a number between 0 and 100.'
+      });
+    }
+  }
+
+  next();
+};
+
 /**
  * @route   POST /api/ocr
- * @desc    Extract text from uploaded image
- * @body    multipart/form-data { image: File, language: 'en' | 'hi' | 'pa' }
+ * @desc    Extract text from an uploaded image, or from every page of a PDF/TIFF document
+ * @body    multipart/form-data {
+ *            image: File,
+ *            language: 'en' | 'hi' | 'pa',
+ *            autoOrient?: 'true' | 'false',
+ *            outputFormat?: 'hocr' | 'alto' to also return the layout as hOCR or ALTO XML,
+ *            confidenceThreshold?: 0-100, words below it are flagged in lowConfidenceWords,
+ *            useVocabulary?: 'false' to skip the user's and class word lists
+ *          }
  */
 // Existing route
-router.post('/', upload.single('image'), ocrController.extractText);
+router.post('/', upload.single('image'), validateOcrOptions, ocrController.extractText);
+
+/**
+ * @route   POST /api/ocr/batch
+ * @desc    Extract text from multiple page images, processed in upload order
+ *          (up to 5MB per page and 40MB in total)
+ * @body    multipart/form-data {
+ *            images: File[],
+ *            language: 'en' | 'hi' | 'pa',
+ *            autoOrient?: 'true' | 'false',
+ *            outputFormat?: 'hocr' | 'alto' (rendered per page),
+ *            confidenceThreshold?: 0-100,
+ *            useVocabulary?: 'true' | 'false'
+ *          }
+ */
+router.post(
+  '/batch',
+  limitBatchSize,
+  batchUpload.array('images', ocrService.maxBatchPages),
+  validateOcrOptions,
+  ocrController.extractTextBatch
+);
+
+/**
+ * @route   POST /api/ocr/check
+ * @desc    Extract text from a handwritten page, correct its grammar in the detected language
+ *          and save both texts as a learning record
+ * @body    multipart/form-data {
+ *            image: File (JPEG, PNG or WebP),
+ *            language: 'en' | 'hi' | 'pa', used for OCR and when no script is detected,
+ *            autoOrient?: 'true' | 'false',
+ *            confidenceThreshold?: 0-100,
+ *            useVocabulary?: 'true' | 'false'
+ *          }
+ */
+router.post('/check', upload.single('image'), validateOcrOptions, ocrController.checkHandwriting);
+
+/**
+ * @route   POST /api/ocr/preprocess
+ * @desc    Extract text after a declarative preprocessing pipeline
+ * @body    multipart/form-data {
+ *            image: File,
+ *            language?: 'en' | 'hi' | 'pa',
+ *            pipeline?: JSON array of steps (grayscale, brightness, contrast, threshold,
+ *                       denoise, deskew, rotate, crop, resize, invert),
+ *            includePreview?: 'true' to return a base64 preview of the processed image,
+ *            autoOrient?: 'false' to skip orientation/skew correction (on unless OCR_AUTO_ORIENT=false),
+ *            outputFormat?: 'hocr' | 'alto',
+ *            confidenceThreshold?: 0-100,
+ *            useVocabulary?: 'true' | 'false'
+ *          }
+ */
+router.post('/preprocess', upload.single('image'), validateOcrOptions, ocrController.extractTextWithPreprocessing);
+
+// Validation middleware for OCR history queries
+const validateHistoryQuery = (req, res, next) => {
+  const { page, limit, language } = req.query;
+
+  if ((page && !(parseInt(page) >= 1)) || (limit && !(parseInt(limit) >= 1 && parseInt(limit) <= 100))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Page must be a positive number and limit must be between 1 and 100.'
+    });
+  }
+
+  const supportedLanguages = ['en', 'hi', 'pa'];
+  if (language && !supportedLanguages.includes(language)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Supported languages are: English (en), Hindi (hi), Punjabi (pa).'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @route   GET /api/ocr/languages
+ * @desc    Get supported OCR languages, scripts and local traineddata availability
+ */
+router.get('/languages', ocrController.getSupportedLanguages);
+
+/**
+ * @route   GET /api/ocr/history
+ * @desc    Get paginated OCR history of the authenticated user
+ * @query   page, limit, language: 'en' | 'hi' | 'pa'
+ */
+router.get('/history', validateHistoryQuery, authorizeUserScope, ocrController.getOcrHistory);
+
+/**
+ * @route   GET /api/ocr/history/:userId
+ * @desc    Get paginated OCR history of a user (self, class teacher or admin)
+ * @query   page, limit, language: 'en' | 'hi' | 'pa'
+ */
+router.get('/history/:userId', validateHistoryQuery, authorizeUserScope, ocrController.getOcrHistory);
+
+// Validation middleware for vocabulary list parameters
+const validateVocabularyParams = (req, res, next) => {
+  const { scope, language } = req.params;
+  const queryLanguage = req.query.language;
+
+  if (scope !== undefined && !vocabularyService.scopes.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: `Scope must be one of: ${vocabularyService.scopes.join(', ')}.`
+    });
+  }
 
-// ✅ New route with preprocessing
-router.post('/preprocess', upload.single('image'), ocrController.extractTextWithPreprocessing);
+  const requestedLanguage = language ?? queryLanguage;
+  if (requestedLanguage !== undefined && !vocabularyService.languages.includes(requestedLanguage)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Supported languages are: English (en), Hindi (hi), Punjabi (pa).'
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for vocabulary list updates (entries are checked further in vocabularyService)
+const validateVocabularyChanges = (req, res, next) => {
+  const { add, remove } = req.body;
+  const isChangeSet = value => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+
+  if ((add === undefined && remove === undefined) || !isChangeSet(add) || !isChangeSet(remove)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide add and/or remove as { words?: string[], patterns?: string[] }.'
+    });
+  }
+
+  next();
+};
+
+// Users may read lists that apply to them; class lists are changed by the class teacher or an admin
+const authorizeVocabulary = async (req, res, next) => {
+  try {
+    const { scope, ownerId } = req.params;
+
+    const allowed = await vocabularyService.canAccessList(req.user, scope, ownerId, {
+      write: req.method !== 'GET'
+    });
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this vocabulary'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/ocr/vocabulary
+ * @desc    Get the OCR word lists that apply to the user (their own and their classes')
+ * @query   language?: 'en' | 'hi' | 'pa'
+ */
+router.get('/vocabulary', validateVocabularyParams, vocabularyController.getVocabularies);
+
+/**
+ * @route   GET /api/ocr/vocabulary/:scope/:ownerId/:language
+ * @desc    Get a word list; scope is 'user' (ownerId = userId) or 'class' (ownerId = class code)
+ */
+router.get(
+  '/vocabulary/:scope/:ownerId/:language',
+  validateVocabularyParams,
+  authorizeVocabulary,
+  vocabularyController.getVocabulary
+);
+
+/**
+ * @route   PUT /api/ocr/vocabulary/:scope/:ownerId/:language
+ * @desc    Create or replace a word list
+ * @body    { words: string[] (single words), patterns?: string[] (Tesseract user patterns, e.g. '\d\d-\d\d') }
+ */
+router.put(
+  '/vocabulary/:scope/:ownerId/:language',
+  validateVocabularyParams,
+  authorizeVocabulary,
+  vocabularyController.saveVocabulary
+);
+
+/**
+ * @route   PATCH /api/ocr/vocabulary/:scope/:ownerId/:language
+ * @desc    Add and/or remove entries of a word list
+ * @body    { add?: { words?, patterns? }, remove?: { words?, patterns? } }
+ */
+router.patch(
+  '/vocabulary/:scope/:ownerId/:language',
+  validateVocabularyParams,
+  validateVocabularyChanges,
+  authorizeVocabulary,
+  vocabularyController.updateVocabulary
+);
+
+/**
+ * @route   DELETE /api/ocr/vocabulary/:scope/:ownerId/:language
+ * @desc    Delete a word list
+ */
+router.delete(
+  '/vocabulary/:scope/:ownerId/:language',
+  validateVocabularyParams,
+  authorizeVocabulary,
+  vocabularyController.deleteVocabulary
+);
+
+// Validation middleware for OCR word corrections
+const validateCorrections = (req, res, next) => {
+  const { corrections } = req.body;
+
+  if (!Array.isArray(corrections) || corrections.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Corrections must be a non-empty array of { wordIndex, text }.'
+    });
+  }
+
+  const invalid = corrections.some(correction =>
+    !correction ||
+    !Number.isInteger(correction.wordIndex) ||
+    correction.wordIndex < 0 ||
+    typeof correction.text !== 'string' ||
+    !correction.text.trim()
+  );
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each correction needs a non-negative integer wordIndex and a non-empty text.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @route   GET /api/ocr/:recordId
+ * @desc    Get an OCR record with words, low-confidence flags and corrections (owner, class teacher or admin)
+ */
+router.get(
+  '/:recordId',
+  authorizeOwnership(req => userService.getRecordOwner(OcrRecord, req.params.recordId)),
+  ocrController.getOcrRecord
+);
+
+/**
+ * @route   PUT /api/ocr/:recordId/corrections
+ * @desc    Submit corrections for recognised words; stores the corrected transcript next to the raw text
+ * @body    { corrections: [{ wordIndex: number, text: string }] }
+ */
+router.put(
+  '/:recordId/corrections',
+  validateCorrections,
+  authorizeOwnership(req => userService.getRecordOwner(OcrRecord, req.params.recordId)),
+  ocrController.submitCorrections
+);
+
+/**
+ * @route   DELETE /api/ocr/:recordId
+ * @desc    Delete an OCR record (owner or admin)
+ */
+router.delete(
+  '/:recordId',
+  authorizeOwnership(req => userService.getRecordOwner(OcrRecord, req.params.recordId)),
+  ocrController.deleteOcrRecord
+);
 
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
@@ -38,17 +391,29 @@ router.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 5MB.'
+        message: 'File size too large. Maximum size is 5MB for images and 20MB for PDF/TIFF documents.'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files or unexpected file field. Upload up to ${ocrService.maxBatchPages} pages in the 'images' field.`
       });
     }
   }
   if (
-    error.message === 'Only JPEG, PNG, JPG, and WebP images are allowed' ||
+    error.message === 'Only JPEG, PNG, JPG, WebP, TIFF and PDF files are allowed' ||
     error.message === 'Only image files are allowed'
   ) {
     return res.status(400).json({
       success: false,
-      message: 'Only JPEG, PNG, JPG, and WebP images are allowed for OCR processing.'
+      message: 'Only JPEG, PNG, JPG, WebP images and TIFF/PDF documents are allowed for OCR processing.'
+    });
+  }
+  if (error.message === 'Batch uploads accept page images only') {
+    return res.status(400).json({
+      success: false,
+      message: 'Batch uploads accept JPEG, PNG, JPG and WebP page images only. Upload PDF/TIFF documents to POST /api/ocr.'
     });
   }
 
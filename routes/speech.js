@@ -1,6 +1,9 @@
 const express = require('express');
 const multer = require('multer');
 const speechController = require('../controllers/speechController');
+const userService = require('../services/userService');
+const UserData = require('../models/UserData');
+const { authorizeOwnership } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -53,6 +56,13 @@ router.post('/synthesize', validateTTSRequest, speechController.textToSpeech);
 // POST /api/speech/analyze - Analyze pronunciation and fluency
 router.post('/analyze', upload.single('audio'), speechController.evaluatePronunciation);
 
+// DELETE /api/speech/:recordId - Delete a pronunciation record (owner or admin)
+router.delete(
+  '/:recordId',
+  authorizeOwnership(req => userService.getRecordOwner(UserData, req.params.recordId)),
+  speechController.deletePronunciationRecord
+);
+
 
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
@@ -0,0 +1,45 @@
+const express = require('express');
+const userController = require('../controllers/userController');
+const { authorize, authorizeUserScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware for access updates
+const validateAccessUpdate = (req, res, next) => {
+  const { role, classes } = req.body;
+
+  if (role === undefined && classes === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a role and/or classes to update.'
+    });
+  }
+
+  const supportedRoles = ['student', 'teacher', 'admin'];
+  if (role !== undefined && !supportedRoles.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Supported roles are: student, teacher, admin.'
+    });
+  }
+
+  if (classes !== undefined && (!Array.isArray(classes) || classes.some(c => typeof c !== 'string' || !c.trim()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Classes must be an array of class codes.'
+    });
+  }
+
+  next();
+};
+
+// GET /api/users/me/records - Get learning records of the authenticated user
+router.get('/me/records', authorizeUserScope, userController.getUserRecords);
+
+// GET /api/users/:userId/records - Get learning records of a user (self, class teacher or admin)
+router.get('/:userId/records', authorizeUserScope, userController.getUserRecords);
+
+// PUT /api/users/:userId/access - Update role and classes of a user (admin only)
+router.put('/:userId/access', authorize('admin'), validateAccessUpdate, userController.updateUserAccess);
+
+module.exports = router;
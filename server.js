@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require('./app');
 const mongoose = require('mongoose');
+const ocrService = require('./services/ocrService');
 
 // Configuration
 const PORT = process.env.PORT || 5000;
@@ -91,6 +92,9 @@ const startServer = async () => {
       console.log(`   • Chat Service: http://localhost:${PORT}/api/chat`);
       console.log(`   • Export Service: http://localhost:${PORT}/api/export`);
       console.log('\n✨ Server is ready to accept requests!');
+
+      // Start OCR workers for OCR_PRELOAD_LANGUAGES in the background
+      ocrService.warmUpWorkers();
     });
 
     // Handle server errors
@@ -117,6 +121,9 @@ const startServer = async () => {
         console.log('🛑 HTTP server closed');
         
         try {
+          await ocrService.shutdown();
+          console.log('🧵 OCR workers and cache closed');
+
           await mongoose.connection.close();
           console.log('📴 Database connection closed');
           console.log('✅ Graceful shutdown completed');
@@ -0,0 +1,198 @@
+// services/authService.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+class AuthService {
+  constructor() {
+    // Set JWT_SECRET in environment variables
+    this.accessSecret = process.env.JWT_SECRET;
+    this.accessExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+
+    // Refresh tokens fall back to the access secret when no dedicated one is configured
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+    this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+  }
+
+  /**
+   * Register a new user account
+   * @param {Object} userData - { name, email, password, preferredLanguage }
+   * @returns {Promise<Object>} - Created user and token pair
+   */
+  async register({ name, email, password, preferredLanguage }) {
+    try {
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      if (existingUser) {
+        throw new Error('Email already registered');
+      }
+
+      let user;
+      try {
+        user = await User.create({
+          name,
+          email,
+          password,
+          preferredLanguage: typeof preferredLanguage === 'string' ? preferredLanguage.toLowerCase() : preferredLanguage
+        });
+      } catch (error) {
+        // A concurrent registration can still win the race to the unique email index
+        if (error.code === 11000) {
+          throw new Error('Email already registered');
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        user: user.toJSON(),
+        ...this.generateTokens(user)
+      };
+
+    } catch (error) {
+      console.error('Registration error:', error);
+      throw new Error(`Registration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Authenticate a user with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} - Authenticated user and token pair
+   */
+  async login(email, password) {
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+      if (!user || !(await user.comparePassword(password))) {
+        throw new Error('Invalid email or password');
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      return {
+        success: true,
+        user: user.toJSON(),
+        ...this.generateTokens(user)
+      };
+
+    } catch (error) {
+      console.error('Login error:', error);
+      throw new Error(`Login failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue a new token pair from a valid refresh token
+   * @param {string} refreshToken - Refresh token issued at login
+   * @returns {Promise<Object>} - New token pair
+   */
+  async refreshTokens(refreshToken) {
+    try {
+      const decoded = this.verifyToken(refreshToken, 'refresh');
+
+      const user = await User.findById(decoded.userId);
+      if (!user) {
+        throw new Error('User no longer exists');
+      }
+
+      return {
+        success: true,
+        user: user.toJSON(),
+        ...this.generateTokens(user)
+      };
+
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      throw new Error(`Token refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the user behind an access token
+   * @param {string} token - Bearer access token
+   * @returns {Promise<Object>} - Request-scoped user context for req.user
+   */
+  async authenticate(token) {
+    const decoded = this.verifyToken(token, 'access');
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    return this.buildUserContext(user);
+  }
+
+  /**
+   * Build the object attached to req.user
+   * @private
+   */
+  buildUserContext(user) {
+    return {
+      userId: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      classes: user.classes || [],
+      preferredLanguage: user.preferredLanguage
+    };
+  }
+
+  /**
+   * Sign an access/refresh token pair for a user
+   * @private
+   */
+  generateTokens(user) {
+    this.assertSecretConfigured();
+
+    const payload = { userId: user._id.toString() };
+
+    return {
+      accessToken: jwt.sign({ ...payload, type: 'access' }, this.accessSecret, {
+        expiresIn: this.accessExpiresIn
+      }),
+      refreshToken: jwt.sign({ ...payload, type: 'refresh' }, this.refreshSecret, {
+        expiresIn: this.refreshExpiresIn
+      }),
+      expiresIn: this.accessExpiresIn
+    };
+  }
+
+  /**
+   * Verify a token and make sure it is of the expected type
+   * @private
+   */
+  verifyToken(token, expectedType) {
+    this.assertSecretConfigured();
+
+    const secret = expectedType === 'refresh' ? this.refreshSecret : this.accessSecret;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token expired');
+      }
+      throw new Error('Invalid token');
+    }
+
+    if (decoded.type !== expectedType) {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Fail loudly instead of signing tokens with an undefined secret
+   * @private
+   */
+  assertSecretConfigured() {
+    if (!this.accessSecret) {
+      throw new Error('JWT_SECRET environment variable is not defined');
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -49,6 +49,12 @@ class ChatService {
         sessionId = this.generateSessionId();
       }
 
+      // A session id is not a secret; only its owner may add messages to it
+      const existingContext = this.activeContexts.get(sessionId);
+      if (existingContext && existingContext.userId !== options.userId) {
+        throw new Error('Chat session not found or access denied');
+      }
+
       const languageCode = this.getLanguageCode(language);
       const sessionPath = this.sessionClient.projectLocationAgentSessionPath(
         this.projectId,
@@ -84,7 +90,7 @@ class ChatService {
       );
 
       // Update conversation context
-      this.updateConversationContext(sessionId, message, processedResponse);
+      this.updateConversationContext(sessionId, message, processedResponse, options.userId);
 
       return {
         success: true,
@@ -209,11 +215,16 @@ class ChatService {
    * Set educational preferences for a session
    * @param {string} sessionId - Session ID
    * @param {Object} preferences - Educational preferences
+   * @param {string} userId - User setting the preferences; owns the session when it is created here
    * @returns {Promise<Object>} - Preference setting result
    */
-  async setEducationalPreferences(sessionId, preferences) {
+  async setEducationalPreferences(sessionId, preferences, userId) {
     try {
-      let context = this.activeContexts.get(sessionId) || this.createNewContext(sessionId);
+      let context = this.activeContexts.get(sessionId);
+      if (context && context.userId !== userId) {
+        throw new Error('Chat session not found or access denied');
+      }
+      context = context || this.createNewContext(sessionId, userId);
       
       context.preferences = {
         ...context.preferences,
@@ -235,6 +246,15 @@ class ChatService {
     }
   }
 
+  /**
+   * Get the user that owns a session
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} - Owner userId or null when the session is unknown
+   */
+  getSessionOwner(sessionId) {
+    return this.activeContexts.get(sessionId)?.userId || null;
+  }
+
   /**
    * Generate unique session ID
    * @returns {string} - Unique session ID
@@ -395,8 +415,8 @@ class ChatService {
    * Update conversation context
    * @private
    */
-  updateConversationContext(sessionId, message, response) {
-    let context = this.activeContexts.get(sessionId) || this.createNewContext(sessionId);
+  updateConversationContext(sessionId, message, response, userId) {
+    let context = this.activeContexts.get(sessionId) || this.createNewContext(sessionId, userId);
     
     // Add message to history
     const messageEntry = {
@@ -428,11 +448,17 @@ class ChatService {
 
   /**
    * Create new conversation context
+   * Every context has an owner; ownership checks on session routes rely on it.
    * @private
    */
-  createNewContext(sessionId) {
+  createNewContext(sessionId, userId) {
+    if (!userId) {
+      throw new Error('A chat session needs an owner (userId)');
+    }
+
     return {
       sessionId: sessionId,
+      userId: userId,
       startTime: new Date().toISOString(),
       lastActivity: new Date().toISOString(),
       messages: [],
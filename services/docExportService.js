@@ -2,6 +2,7 @@
 const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle } = require('docx');
 const fs = require('fs').promises;
 const path = require('path');
+const ocrLayoutFormatter = require('./ocrLayoutFormatter');
 
 class DocExportService {
   constructor() {
@@ -297,7 +298,10 @@ class DocExportService {
           },
           {
             heading: 'Extracted Text',
-            content: ocrData.text,
+            // Keep the paragraph structure of the page when the layout is available
+            content: ocrData.layout?.length
+              ? ocrLayoutFormatter.toParagraphText(ocrData.layout)
+              : ocrData.text,
             type: 'main'
           }
         ]
@@ -0,0 +1,139 @@
+// services/documentRasterizer.js
+const path = require('path');
+const sharp = require('sharp');
+
+class DocumentRasterizer {
+  constructor() {
+    // Render resolution for PDF pages; ~200 DPI is a good trade-off for handwriting OCR
+    this.pdfRenderDpi = parseInt(process.env.OCR_PDF_RENDER_DPI, 10) || 200;
+    // Longest side of a rendered PDF page in pixels; larger pages are rendered at a lower resolution
+    this.maxPdfPageSize = parseInt(process.env.OCR_PDF_MAX_PAGE_PX, 10) || 5000;
+
+    this.documentMimeTypes = {
+      'application/pdf': 'pdf',
+      'image/tiff': 'tiff',
+      'image/tif': 'tiff'
+    };
+
+    // pdfjs needs the standard font files to render non-embedded fonts (e.g. Helvetica)
+    this.standardFontDataUrl = path.join(
+      path.dirname(require.resolve('pdfjs-dist/package.json')),
+      'standard_fonts'
+    ) + path.sep;
+  }
+
+  /**
+   * Check whether a MIME type is a multi-page document format
+   * @param {string} mimeType - Uploaded file MIME type
+   * @returns {boolean}
+   */
+  isDocument(mimeType) {
+    return Boolean(this.documentMimeTypes[mimeType]);
+  }
+
+  /**
+   * Rasterize every page of a PDF or TIFF into PNG buffers, locally
+   * @param {Buffer} buffer - Document contents
+   * @param {string} mimeType - application/pdf or image/tiff
+   * @param {Object} options - { maxPages }
+   * @returns {Promise<Object>} - { documentType, pages: Buffer[] }
+   */
+  async rasterize(buffer, mimeType, options = {}) {
+    const documentType = this.documentMimeTypes[mimeType];
+    if (!documentType) {
+      throw new Error(`Unsupported document type: ${mimeType}`);
+    }
+
+    const pages = documentType === 'pdf'
+      ? await this.rasterizePdf(buffer, options)
+      : await this.rasterizeTiff(buffer, options);
+
+    return { documentType, pages };
+  }
+
+  /**
+   * Render PDF pages with pdf.js
+   * @private
+   */
+  async rasterizePdf(buffer, { maxPages } = {}) {
+    // pdfjs-dist is published as an ES module only
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+    let pdf;
+    try {
+      pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        standardFontDataUrl: this.standardFontDataUrl,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+      }).promise;
+    } catch (error) {
+      throw new Error(`Invalid document: ${error.message}`);
+    }
+
+    try {
+      this.assertPageCount(pdf.numPages, maxPages);
+
+      const dpiScale = this.pdfRenderDpi / 72; // PDF user space is 72 units per inch
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        // The MediaBox is not bounded, so cap the canvas size rather than trust the page dimensions
+        const { width, height } = page.getViewport({ scale: 1 });
+        const scale = Math.min(dpiScale, this.maxPdfPageSize / Math.max(width, height, 1));
+        const viewport = page.getViewport({ scale });
+        const { canvas, context } = pdf.canvasFactory.create(
+          Math.ceil(viewport.width),
+          Math.ceil(viewport.height)
+        );
+
+        // Scans are often transparent-backed; OCR expects dark text on white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: context, viewport }).promise;
+        pages.push(canvas.toBuffer('image/png'));
+        page.cleanup();
+      }
+
+      return pages;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Split a (multi-page) TIFF into PNG pages with sharp
+   * @private
+   */
+  async rasterizeTiff(buffer, { maxPages } = {}) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new Error(`Invalid document: ${error.message}`);
+    }
+
+    const pageCount = metadata.pages || 1;
+    this.assertPageCount(pageCount, maxPages);
+
+    const pages = [];
+    for (let page = 0; page < pageCount; page++) {
+      pages.push(await sharp(buffer, { page }).png().toBuffer());
+    }
+
+    return pages;
+  }
+
+  /**
+   * @private
+   */
+  assertPageCount(pageCount, maxPages) {
+    if (maxPages && pageCount > maxPages) {
+      throw new Error(`Document has too many pages (${pageCount}). Maximum is ${maxPages}.`);
+    }
+  }
+}
+
+module.exports = new DocumentRasterizer();
@@ -1,10 +1,17 @@
 // services/grammarService.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, GoogleGenerativeAIAbortError, SchemaType } = require('@google/generative-ai');
+const Joi = require('joi');
+const scriptAnalyzer = require('./scriptAnalyzer');
+const textDiff = require('./textDiff');
+const ruleBasedGrammarChecker = require('./ruleBasedGrammarChecker');
+const languageToolProvider = require('./languageToolProvider');
+const GrammarRecord = require('../models/GrammarRecord');
 
 class GrammarService {
   constructor() {
     // Initialize Gemini AI client
-    // Set GEMINI_API_KEY in environment variables
+    // Set GEMINI_API_KEY in environment variables; without it only the rule-based checker runs
+    this.geminiConfigured = Boolean(process.env.GEMINI_API_KEY);
     this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'YOUR_GEMINI_API_KEY');
     this.model = this.genAI.getGenerativeModel({
       model: 'models/gemini-2.5-pro', // correct model name for v1
@@ -39,14 +46,89 @@ class GrammarService {
       topP: 0.8,
       maxOutputTokens: 2048,
     };
+
+    this.errorCategories = ['grammar', 'spelling', 'punctuation', 'style', 'word_choice', 'agreement', 'other'];
+
+    // Responses that fail validation are requested again this many times in total
+    this.maxAttempts = parseInt(process.env.GRAMMAR_MAX_ATTEMPTS, 10) || 2;
+
+    // Correction providers: { name, isAvailable(), supports(language), correct(text, language, options) }
+    // correct() resolves to { corrected, errors, suggestions, structured } in the shape of requestCorrection
+    this.providers = {
+      gemini: {
+        name: 'gemini',
+        isAvailable: () => this.geminiConfigured,
+        supports: language => Boolean(this.prompts[language]),
+        correct: (text, language, options) => this.requestCorrection(text, language, options)
+      },
+      languagetool: languageToolProvider
+    };
+    // Used for the languages it supports (e.g. GRAMMAR_PROVIDER=languagetool for English); Gemini otherwise
+    this.defaultProvider = this.providers[process.env.GRAMMAR_PROVIDER] ? process.env.GRAMMAR_PROVIDER : 'gemini';
+
+    // Rule-based checker (ruleBasedGrammarChecker): 'merge' runs it as a first pass and merges its findings
+    // with the provider's, 'fallback' only uses it when the provider is unavailable, 'off' disables it
+    this.ruleCheckModes = ['merge', 'fallback', 'off'];
+    this.ruleCheckMode = this.ruleCheckModes.includes(process.env.GRAMMAR_RULE_CHECK)
+      ? process.env.GRAMMAR_RULE_CHECK
+      : 'merge';
+
+    // Provider HTTP statuses that mean it cannot be used right now (credentials rejected, timeout, rate limit,
+    // outage); only these, unconfigured providers and network failures fall back to the rule-based checker
+    this.unavailableStatuses = [401, 403, 408, 429, 500, 502, 503, 504];
+
+    // Texts checked at the same time by batchGrammarCheck
+    this.batchConcurrency = parseInt(process.env.GRAMMAR_BATCH_CONCURRENCY, 10) || 3;
+
+    // Errors explained per getDetailedSuggestions request
+    this.maxExplainedErrors = 5;
+    this.difficultyLevels = ['beginner', 'intermediate', 'advanced'];
+    this.explanationLanguages = {
+      en: 'English',
+      hi: 'Hindi (हिंदी)',
+      pa: 'Punjabi (ਪੰਜਾਬੀ, Gurmukhi script)'
+    };
+
+    // Windows accepted by getUserGrammarStats, in days
+    this.statsTimeRanges = { '7d': 7, '30d': 30, '90d': 90 };
+
+    // Style focuses accepted by improveStyle
+    this.styleTypes = ['general', 'formal', 'informal', 'academic', 'simple', 'creative'];
+
+    // Error categories each check type looks for; 'style' is handled by improveStyle
+    this.checkTypeCategories = {
+      spelling: ['spelling'],
+      grammar: ['grammar', 'agreement', 'word_choice'],
+      punctuation: ['punctuation'],
+      style: ['style'],
+      comprehensive: this.errorCategories
+    };
+
+    // Focus added to the language prompt so each check type only changes what it checks
+    this.checkTypeInstructions = {
+      spelling: 'Only correct spelling mistakes, including wrong or missing matras, nukta and halant. Do not change grammar, punctuation or word choice.',
+      grammar: 'Only correct grammar: gender and number agreement (e.g. का/की/के, ਦਾ/ਦੀ/ਦੇ), verb forms, tense, postpositions and word order. Leave spelling and punctuation as they are.',
+      punctuation: 'Only correct punctuation: sentence endings (। in Hindi and Punjabi, . in English), commas, question marks and quotation marks. Do not change any words.',
+      comprehensive: 'Correct all spelling, grammar and punctuation errors and flag awkward word choice.'
+    };
   }
 
   /**
    * Correct grammar errors in text
+   * Gemini returns JSON with one entry per error; responses that fail schema validation are
+   * retried, and when every attempt fails the errors are derived from the local diff instead.
+   * The rule-based checker runs first: its findings are passed to the provider as hints and the ones it
+   * missed are merged in, and when the provider cannot be reached (no key, quota, network) its result is used alone.
+   * Other provider errors are not masked by the rules and fail the request.
    * @param {string} text - Input text to correct
    * @param {string} language - Language of the text (hindi/punjabi/english)
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} - Grammar correction result
+   * @param {Object} options - { checkType: 'grammar' | 'spelling' | 'punctuation' | 'comprehensive', context,
+   *                             provider: 'gemini' | 'languagetool' (defaults to GRAMMAR_PROVIDER),
+   *                             ruleCheck: 'merge' | 'fallback' | 'off' (defaults to GRAMMAR_RULE_CHECK) }
+   * @returns {Promise<Object>} - Grammar correction result with `errors` ({ category, original, start, end,
+   *                              replacement, explanation, source }), `categoriesChecked`, `structured` (false when
+   *                              degraded), `provider` ('gemini' | 'languagetool' | 'rules'), `fallback` and
+   *                              `limited` (the rule fallback could not check every requested category)
    */
   async correctGrammar(text, language = 'english', options = {}) {
     try {
@@ -59,28 +141,95 @@ class GrammarService {
         throw new Error(`Unsupported language: ${language}. Supported: hindi, punjabi, english`);
       }
 
-      const prompt = this.buildGrammarPrompt(text, normalizedLanguage, options);
+      const checkType = options.checkType || 'grammar';
+      if (!this.checkTypeInstructions[checkType]) {
+        throw new Error(`Unsupported check type: ${checkType}`);
+      }
 
-      console.log(`Correcting grammar for ${language} text...`);
+      const ruleCheck = options.ruleCheck || this.ruleCheckMode;
+      if (!this.ruleCheckModes.includes(ruleCheck)) {
+        throw new Error(`Unsupported rule check mode: ${ruleCheck}`);
+      }
 
-      const result = await this.model.generateContent([{ text: prompt }]);
+      const provider = this.resolveProvider(options.provider, normalizedLanguage);
 
-      const response = await result.response;
-      const correctedText = response.text();
+      console.log(`Correcting ${checkType} for ${language} text with ${provider.name}...`);
+
+      const categories = this.checkTypeCategories[checkType];
+      const ruleResult = ruleCheck === 'off'
+        ? null
+        : ruleBasedGrammarChecker.check(text, normalizedLanguage, categories);
+
+      let parsedResult;
+      try {
+        if (!provider.isAvailable()) {
+          const error = new Error(`${provider.name} is not configured`);
+          error.providerUnavailable = true;
+          throw error;
+        }
+
+        parsedResult = await provider.correct(text, normalizedLanguage, {
+          ...options,
+          checkType,
+          categories,
+          ruleFindings: ruleCheck === 'merge' ? ruleResult.errors : []
+        });
+      } catch (error) {
+        if (!this.isProviderUnavailable(error)) {
+          console.error(`${provider.name} grammar correction failed:`, error);
+          throw error;
+        }
+        if (!ruleResult) throw error;
+
+        console.warn(`⚠️ ${provider.name} unavailable (${error.message}); using the rule-based checker`);
+        const covered = ruleBasedGrammarChecker.coveredCategories(normalizedLanguage);
+        parsedResult = {
+          corrected: ruleResult.corrected,
+          errors: ruleResult.errors,
+          suggestions: [],
+          structured: true,
+          fallback: true,
+          // The rules only cover some categories (in English just repeated words)
+          categoriesChecked: categories.filter(category => covered.includes(category)),
+          limited: categories.some(category => !covered.includes(category))
+        };
+      }
 
-      console.log("🔍 Gemini Raw Output:\n", response);
+      let corrected = parsedResult.corrected;
+      let diff = textDiff.diff(text, corrected);
 
-      // Parse the structured response
-      const parsedResult = this.parseGrammarResponse(correctedText, text);
+      // Without a valid model response, the local diff is the only source of error spans
+      let errors = parsedResult.structured
+        ? parsedResult.errors
+        : this.errorsFromDiff(diff, categories.length === 1 ? categories[0] : 'other');
+
+      if (!parsedResult.fallback) {
+        errors = errors.map(error => ({ ...error, source: provider.name }));
+      }
+
+      if (ruleCheck === 'merge' && !parsedResult.fallback) {
+        ({ corrected, errors } = this.mergeRuleErrors(text, corrected, diff, errors, ruleResult.errors));
+        diff = textDiff.diff(text, corrected);
+      }
 
       return {
         success: true,
         original: text,
-        corrected: parsedResult.corrected,
-        changes: parsedResult.changes,
+        corrected,
+        errors,
+        changes: errors.map(error => `"${error.original}" → "${error.replacement}"${error.explanation ? `: ${error.explanation}` : ''}`),
+        // Exact spans computed locally, independent of how the model described its changes
+        diff,
+        structured: parsedResult.structured,
+        provider: parsedResult.fallback ? 'rules' : provider.name,
+        fallback: Boolean(parsedResult.fallback),
+        limited: Boolean(parsedResult.limited),
+        checkType,
+        categoriesChecked: parsedResult.categoriesChecked || categories,
         language: normalizedLanguage,
-        confidence: this.calculateConfidence(text, parsedResult.corrected),
-        suggestions: parsedResult.suggestions || []
+        scriptAnalysis: scriptAnalyzer.analyze(text),
+        confidence: this.calculateConfidence(text, corrected),
+        suggestions: parsedResult.suggestions
       };
 
     } catch (error) {
@@ -103,6 +252,15 @@ class GrammarService {
       }
 
       const normalizedLanguage = language.toLowerCase();
+      if (!this.prompts[normalizedLanguage]) {
+        throw new Error(`Unsupported language: ${language}. Supported: hindi, punjabi, english`);
+      }
+
+      // Style rewriting has no rule-based or LanguageTool equivalent
+      if (!this.geminiConfigured) {
+        throw new Error('gemini is not configured');
+      }
+
       const prompt = this.buildStylePrompt(text, normalizedLanguage, options);
 
       console.log(`Improving style for ${language} text...`);
@@ -116,6 +274,7 @@ class GrammarService {
         success: true,
         original: text,
         improved: improvedText.trim(),
+        diff: textDiff.diff(text, improvedText.trim()),
         language: normalizedLanguage,
         improvements: this.identifyImprovements(text, improvedText)
       };
@@ -131,15 +290,21 @@ class GrammarService {
    * @param {string} text - Input text
    * @param {string} language - Language of the text
    * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} - Comprehensive analysis result
+   * @returns {Promise<Object>} - Comprehensive analysis result; style is null when the style pass was unavailable
    */
   async analyzeAndCorrect(text, language = 'english', options = {}) {
     try {
-      const [grammarResult, styleResult] = await Promise.all([
-        this.correctGrammar(text, language, options),
-        this.improveStyle(text, language, options)
+      const [grammarResult, styleOutcome] = await Promise.all([
+        this.correctGrammar(text, language, { ...options, checkType: 'comprehensive' }),
+        this.improveStyle(text, language, options).catch(error => error)
       ]);
 
+      // The style pass needs Gemini; when it is unavailable return the grammar result without style
+      const styleResult = styleOutcome instanceof Error ? null : styleOutcome;
+      if (!styleResult) {
+        console.warn(`⚠️ Style pass skipped (${styleOutcome.message})`);
+      }
+
       return {
         success: true,
         original: text,
@@ -155,6 +320,371 @@ class GrammarService {
     }
   }
 
+  /**
+   * Run one check type and return a common result shape
+   * 'style' is routed to improveStyle and 'comprehensive' to analyzeAndCorrect;
+   * the other types run a focused correctGrammar.
+   * @param {string} text - Input text
+   * @param {string} language - Language of the text (hindi/punjabi/english)
+   * @param {string} checkType - 'comprehensive' | 'spelling' | 'grammar' | 'punctuation' | 'style'
+   * @param {Object} options - Options passed to the underlying check
+   * @returns {Promise<Object>} - { checkType, categoriesChecked, original, corrected, errors, suggestions, diff,
+   *                              confidence, style?, recommendations? }
+   */
+  async checkText(text, language = 'english', checkType = 'comprehensive', options = {}) {
+    if (!this.checkTypeCategories[checkType]) {
+      throw new Error(`Unsupported check type: ${checkType}`);
+    }
+
+    if (checkType === 'style') {
+      const styleResult = await this.improveStyle(text, language, options);
+
+      return {
+        success: true,
+        checkType,
+        categoriesChecked: this.checkTypeCategories.style,
+        original: text,
+        corrected: styleResult.improved,
+        errors: this.errorsFromDiff(styleResult.diff, 'style'),
+        suggestions: [],
+        diff: styleResult.diff,
+        structured: false,
+        language: styleResult.language,
+        scriptAnalysis: scriptAnalyzer.analyze(text),
+        confidence: this.calculateConfidence(text, styleResult.improved),
+        style: { improved: styleResult.improved, improvements: styleResult.improvements }
+      };
+    }
+
+    if (checkType === 'comprehensive') {
+      const analysis = await this.analyzeAndCorrect(text, language, options);
+
+      return {
+        ...analysis.grammar,
+        checkType,
+        style: analysis.style && { improved: analysis.style.improved, improvements: analysis.style.improvements },
+        recommendations: analysis.recommendations
+      };
+    }
+
+    return this.correctGrammar(text, language, { ...options, checkType });
+  }
+
+  /**
+   * Explain grammar errors for a learner: rule, examples and a short practice exercise
+   * Explains the given error, or the first errors found by a comprehensive check of the text.
+   * Explanations are written in the learner's language; examples stay in the language of the text.
+   * @param {string} text - Text the errors come from
+   * @param {string} language - Language of the text (hindi/punjabi/english)
+   * @param {Object} options - { error: { original, replacement, category?, start?, end? }, errorType: category to explain,
+   *                             explanationLanguage: 'en' | 'hi' | 'pa' (defaults to the language of the text) }
+   * @returns {Promise<Object>} - { errors, detailedSuggestions: [{ ...error, ruleName, explanation, examples, exercise }],
+   *                              explanations, examples, difficulty, learningTips, structured }
+   *                              structured is false when no lesson could be generated (e.g. Gemini not configured)
+   */
+  async getDetailedSuggestions(text, language = 'english', options = {}) {
+    try {
+      if (!text || text.trim().length === 0) {
+        throw new Error('Input text is required');
+      }
+
+      const normalizedLanguage = language.toLowerCase();
+      if (!this.prompts[normalizedLanguage]) {
+        throw new Error(`Unsupported language: ${language}. Supported: hindi, punjabi, english`);
+      }
+
+      const explanationLanguage = options.explanationLanguage
+        || { english: 'en', hindi: 'hi', punjabi: 'pa' }[normalizedLanguage];
+      if (!this.explanationLanguages[explanationLanguage]) {
+        throw new Error(`Unsupported explanation language: ${explanationLanguage}`);
+      }
+
+      let errors;
+      if (options.error) {
+        const error = {
+          category: options.error.category || 'other',
+          original: options.error.original,
+          start: options.error.start ?? 0,
+          end: options.error.end ?? 0,
+          replacement: options.error.replacement,
+          explanation: ''
+        };
+        // Locate the span in the text when the client did not send (correct) offsets
+        errors = [this.alignErrorSpan(error, text) || error];
+      } else {
+        const grammarResult = await this.correctGrammar(text, normalizedLanguage, { checkType: 'comprehensive' });
+        errors = grammarResult.errors
+          .filter(error => !options.errorType || error.category === options.errorType)
+          .slice(0, this.maxExplainedErrors);
+      }
+
+      const result = {
+        success: true,
+        original: text,
+        language: normalizedLanguage,
+        explanationLanguage,
+        errors,
+        detailedSuggestions: [],
+        explanations: [],
+        examples: [],
+        difficulty: null,
+        learningTips: [],
+        structured: true
+      };
+
+      if (errors.length === 0) return result;
+
+      // Lessons need Gemini; without it the errors are returned with their own explanations
+      let lesson = null;
+      if (this.geminiConfigured) {
+        console.log(`Explaining ${errors.length} ${language} grammar error(s)...`);
+        lesson = await this.requestExplanations(text, normalizedLanguage, errors, explanationLanguage);
+      }
+
+      result.detailedSuggestions = errors.map((error, index) => {
+        const entry = lesson?.explanations.find(explanation => explanation.errorIndex === index);
+        return {
+          ...error,
+          ruleName: entry?.ruleName || null,
+          explanation: entry?.explanation || error.explanation,
+          examples: { correct: entry?.correctExamples || [], incorrect: entry?.incorrectExamples || [] },
+          exercise: entry?.exercise || null
+        };
+      });
+      result.explanations = result.detailedSuggestions.map(({ ruleName, explanation }) => ({ ruleName, explanation }));
+      result.examples = result.detailedSuggestions.map(({ ruleName, examples }) => ({ ruleName, ...examples }));
+      result.difficulty = lesson?.difficulty || null;
+      result.learningTips = lesson?.learningTips || [];
+      result.structured = Boolean(lesson);
+
+      return result;
+
+    } catch (error) {
+      console.error('Grammar explanation error:', error);
+      throw new Error(`Grammar explanation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check several texts with at most `batchConcurrency` checks running at a time
+   * A failing text is reported in its own result and does not stop the others.
+   * @param {Array<string>} texts - Texts to check
+   * @param {string} language - Language of the texts (hindi/punjabi/english)
+   * @param {string} checkType - Check type applied to every text (see checkText)
+   * @param {Object} options - Options passed to checkText
+   * @returns {Promise<Object>} - { results: [{ index, success, score?, error?, ...checkText result }],
+   *                              summary: { succeeded, failed, totalErrors, averageScore, processingTime } }
+   */
+  async batchGrammarCheck(texts, language = 'english', checkType = 'comprehensive', options = {}) {
+    if (!this.checkTypeCategories[checkType]) {
+      throw new Error(`Unsupported check type: ${checkType}`);
+    }
+
+    const startTime = Date.now();
+    const results = new Array(texts.length);
+    let next = 0;
+
+    // Each runner takes the next unchecked text until none are left
+    const runner = async () => {
+      while (next < texts.length) {
+        const index = next++;
+        try {
+          const result = await this.checkText(texts[index], language, checkType, options);
+          results[index] = { index, ...result, score: this.calculateScore(result) };
+        } catch (error) {
+          console.error(`Batch grammar check failed for text ${index}:`, error.message);
+          results[index] = { index, success: false, original: texts[index], error: error.message };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, texts.length) }, runner));
+
+    const checked = results.filter(result => result.success);
+    const averageScore = checked.length
+      ? Math.round(checked.reduce((sum, result) => sum + result.score, 0) / checked.length)
+      : null;
+
+    return {
+      results,
+      summary: {
+        succeeded: checked.length,
+        failed: results.length - checked.length,
+        totalErrors: checked.reduce((sum, result) => sum + result.errors.length, 0),
+        averageScore,
+        processingTime: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Persist a grammar check result for a user
+   * @param {string} userId - Owner of the record
+   * @param {Object} result - Result of checkText
+   * @param {Object} meta - { language: 'en' | 'hi' | 'pa' }
+   * @returns {Promise<Object>} - Saved record
+   */
+  async saveGrammarRecord(userId, result, { language } = {}) {
+    try {
+      const record = await GrammarRecord.create({
+        userId,
+        originalText: result.original,
+        correctedText: result.corrected,
+        grammarErrors: result.errors || [],
+        language,
+        checkType: result.checkType,
+        categoriesChecked: result.categoriesChecked || [],
+        structured: result.structured,
+        score: this.calculateScore(result)
+      });
+
+      return record.toJSON();
+    } catch (error) {
+      console.error('Save grammar record error:', error);
+      throw new Error(`Failed to save grammar record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get paginated grammar check history of a user
+   * @param {string} userId - Owner of the records
+   * @param {Object} options - { page, limit, language, checkType }
+   * @returns {Promise<Object>} - Records and pagination info
+   */
+  async getUserGrammarHistory(userId, options = {}) {
+    try {
+      const page = Math.max(1, options.page || 1);
+      const limit = Math.min(100, Math.max(1, options.limit || 10));
+
+      const query = { userId };
+      if (options.language) query.language = options.language;
+      if (options.checkType) query.checkType = options.checkType;
+
+      const [records, total] = await Promise.all([
+        GrammarRecord.find(query)
+          .sort({ timestamp: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        GrammarRecord.countDocuments(query)
+      ]);
+
+      return {
+        records,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Grammar history error:', error);
+      throw new Error(`Failed to get grammar history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarise a user's grammar checks over a time window
+   * Errors are counted per category and per language, and the mistakes made most often
+   * (same original → replacement) are listed so teachers can spot recurring problems.
+   * @param {string} userId - Owner of the records
+   * @param {string} timeRange - '7d' | '30d' | '90d'
+   * @param {string} language - Optional 'en' | 'hi' | 'pa' filter
+   * @returns {Promise<Object>} - { timeRange, since, totalChecks, totalErrors, averageScore,
+   *                              byCategory, byLanguage, recurringMistakes }
+   */
+  async getUserGrammarStats(userId, timeRange = '30d', language) {
+    const days = this.statsTimeRanges[timeRange];
+    if (!days) {
+      throw new Error(`Invalid time range: ${timeRange}. Supported: ${Object.keys(this.statsTimeRanges).join(', ')}`);
+    }
+
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const match = { userId, timestamp: { $gte: since } };
+      if (language) match.language = language;
+
+      const [stats] = await GrammarRecord.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  checks: { $sum: 1 },
+                  errors: { $sum: { $size: '$grammarErrors' } },
+                  averageScore: { $avg: '$score' }
+                }
+              }
+            ],
+            byLanguage: [
+              {
+                $group: {
+                  _id: '$language',
+                  checks: { $sum: 1 },
+                  errors: { $sum: { $size: '$grammarErrors' } },
+                  averageScore: { $avg: '$score' }
+                }
+              },
+              { $sort: { checks: -1 } }
+            ],
+            byCategory: [
+              { $unwind: '$grammarErrors' },
+              { $group: { _id: '$grammarErrors.category', count: { $sum: 1 } } },
+              { $sort: { count: -1 } }
+            ],
+            recurringMistakes: [
+              { $unwind: '$grammarErrors' },
+              { $match: { 'grammarErrors.original': { $ne: '' } } },
+              {
+                $group: {
+                  _id: {
+                    category: '$grammarErrors.category',
+                    original: '$grammarErrors.original',
+                    replacement: '$grammarErrors.replacement',
+                    language: '$language'
+                  },
+                  count: { $sum: 1 },
+                  lastSeen: { $max: '$timestamp' }
+                }
+              },
+              { $match: { count: { $gte: 2 } } },
+              { $sort: { count: -1, lastSeen: -1 } },
+              { $limit: 10 }
+            ]
+          }
+        }
+      ]);
+
+      const totals = stats.totals[0] || { checks: 0, errors: 0, averageScore: null };
+      const round = value => (value === null ? null : Math.round(value));
+
+      return {
+        timeRange,
+        since,
+        totalChecks: totals.checks,
+        totalErrors: totals.errors,
+        averageScore: round(totals.averageScore),
+        byCategory: stats.byCategory.map(entry => ({
+          category: entry._id,
+          count: entry.count,
+          share: totals.errors ? parseFloat((entry.count / totals.errors).toFixed(4)) : 0
+        })),
+        byLanguage: stats.byLanguage.map(entry => ({
+          language: entry._id,
+          checks: entry.checks,
+          errors: entry.errors,
+          averageScore: round(entry.averageScore)
+        })),
+        recurringMistakes: stats.recurringMistakes.map(entry => ({ ...entry._id, count: entry.count, lastSeen: entry.lastSeen }))
+      };
+    } catch (error) {
+      console.error('Grammar stats error:', error);
+      throw new Error(`Failed to get grammar statistics: ${error.message}`);
+    }
+  }
+
   /**
    * Detect and correct mixed language text
    * @param {string} text - Mixed language text
@@ -182,13 +712,18 @@ class GrammarService {
       const response = await result.response;
       const responseText = response.text();
 
+      const scriptAnalysis = scriptAnalyzer.analyze(text);
+
       return {
         success: true,
         original: text,
         corrected: this.extractCorrectedText(responseText),
         languageSegments: this.extractLanguageSegments(responseText),
         changes: this.extractChanges(responseText),
-        detectedLanguages: languages
+        detectedLanguages: scriptAnalysis.scripts.length
+          ? scriptAnalysis.scripts.map(entry => entry.language)
+          : languages,
+        scriptAnalysis
       };
 
     } catch (error) {
@@ -197,21 +732,244 @@ class GrammarService {
     }
   }
 
+  /**
+   * Pick the correction provider for a language
+   * An explicitly requested provider must support the language; otherwise the deployment default is used
+   * where it supports the language and is configured, and Gemini everywhere else.
+   * @private
+   */
+  resolveProvider(name, language) {
+    if (name) {
+      const provider = this.providers[name];
+      if (!provider) {
+        throw new Error(`Unsupported grammar provider: ${name}. Supported: ${Object.keys(this.providers).join(', ')}`);
+      }
+      if (!provider.supports(language)) {
+        throw new Error(`Unsupported grammar provider: ${name} does not support ${language}`);
+      }
+      return provider;
+    }
+
+    const preferred = this.providers[this.defaultProvider];
+    return preferred.supports(language) && preferred.isAvailable() ? preferred : this.providers.gemini;
+  }
+
+  /**
+   * Whether a provider error means the provider cannot be used right now: not configured, unreachable,
+   * timed out, rate limited or down. Anything else is a bug or a bad request and must not be hidden.
+   * @private
+   */
+  isProviderUnavailable(error) {
+    if (error.providerUnavailable) return true;
+    // Gemini SDK fetch errors and LanguageTool responses carry the HTTP status
+    if (error.status !== undefined) return this.unavailableStatuses.includes(error.status);
+    if (error instanceof GoogleGenerativeAIAbortError || ['AbortError', 'TimeoutError'].includes(error.name)) return true;
+    // fetch rejects with 'fetch failed' when the host cannot be reached; the Gemini SDK rewraps it as
+    // 'Error fetching from <url>: fetch failed'
+    return /fetch failed/.test(error.message);
+  }
+
+  /**
+   * Ask Gemini for a structured correction, retrying when the response is invalid
+   * API errors (quota, network) are not retried here.
+   * @private
+   */
+  async requestCorrection(text, language, options) {
+    const categories = this.checkTypeCategories[options.checkType];
+    const schema = this.buildCorrectionSchema(categories);
+    const validator = this.buildCorrectionValidator(categories);
+    let lastError = null;
+    let salvagedText = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const prompt = this.buildGrammarPrompt(text, language, options, lastError);
+
+      const result = await this.model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          ...this.generationConfig,
+          responseMimeType: 'application/json',
+          responseSchema: schema
+        }
+      });
+
+      const response = await result.response;
+
+      try {
+        return { ...this.parseGrammarResponse(response.text(), text, validator), structured: true };
+      } catch (error) {
+        lastError = error.message;
+        salvagedText = error.correctedText ?? salvagedText;
+        console.warn(`⚠️ Invalid grammar response (attempt ${attempt}/${this.maxAttempts}): ${error.message}`);
+      }
+    }
+
+    // Degrade: keep a corrected text if one could be read, otherwise return the input unchanged
+    return {
+      corrected: salvagedText || text,
+      errors: [],
+      suggestions: [],
+      structured: false
+    };
+  }
+
+  /**
+   * Ask Gemini for structured explanations of the given errors, retrying when the response is invalid
+   * @private
+   * @returns {Promise<Object|null>} - Validated lesson, or null when every attempt was invalid
+   */
+  async requestExplanations(text, language, errors, explanationLanguage) {
+    const schema = this.buildExplanationSchema();
+    const validator = this.buildExplanationValidator(errors.length);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const prompt = this.buildExplanationPrompt(text, language, errors, explanationLanguage, lastError);
+
+      const result = await this.model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          ...this.generationConfig,
+          responseMimeType: 'application/json',
+          responseSchema: schema
+        }
+      });
+
+      const response = await result.response;
+
+      try {
+        const payload = JSON.parse(response.text());
+        const { error, value } = validator.validate(payload, { stripUnknown: true });
+        if (error) throw error;
+        return value;
+      } catch (error) {
+        lastError = error instanceof SyntaxError ? 'response is not valid JSON' : error.message;
+        console.warn(`⚠️ Invalid explanation response (attempt ${attempt}/${this.maxAttempts}): ${lastError}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the prompt for learner explanations
+   * @private
+   */
+  buildExplanationPrompt(text, language, errors, explanationLanguage, previousError = null) {
+    const errorList = errors
+      .map((error, index) => `${index}. [${error.category}] ${JSON.stringify(error.original)} → ${JSON.stringify(error.replacement)}`)
+      .join('\n');
+    const retryPrompt = previousError
+      ? `\nYour previous response was rejected (${previousError}). Follow the JSON schema exactly.\n`
+      : '';
+
+    return `You are a patient ${language} language teacher for school students.
+Explain each error below so the student understands the rule and can avoid the mistake next time.
+Write rule names, explanations, learning tips and exercise questions in ${this.explanationLanguages[explanationLanguage]}.
+Write example sentences and exercise options in ${language}.
+
+Text: ${JSON.stringify(text)}
+
+Errors (index. [category] original → replacement):
+${errorList}
+
+Respond with JSON only:
+- explanations: one entry per error with its "errorIndex", a short "ruleName", a simple "explanation",
+  2-3 "correctExamples" and 1-2 "incorrectExamples", and an "exercise" (a fill-in-the-blank or choice "question",
+  2-4 "options", the correct "answer" copied from the options and a "hint")
+- difficulty: ${this.difficultyLevels.join(', ')}
+- learningTips: 1-3 short tips
+${retryPrompt}`;
+  }
+
+  /**
+   * @private
+   */
+  buildExplanationSchema() {
+    const strings = { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } };
+
+    return {
+      type: SchemaType.OBJECT,
+      properties: {
+        explanations: {
+          type: SchemaType.ARRAY,
+          items: {
+            type: SchemaType.OBJECT,
+            properties: {
+              errorIndex: { type: SchemaType.INTEGER, description: 'Index of the explained error in the list' },
+              ruleName: { type: SchemaType.STRING },
+              explanation: { type: SchemaType.STRING },
+              correctExamples: strings,
+              incorrectExamples: strings,
+              exercise: {
+                type: SchemaType.OBJECT,
+                properties: {
+                  question: { type: SchemaType.STRING },
+                  options: strings,
+                  answer: { type: SchemaType.STRING, description: 'One of the options' },
+                  hint: { type: SchemaType.STRING }
+                },
+                required: ['question', 'options', 'answer']
+              }
+            },
+            required: ['errorIndex', 'ruleName', 'explanation', 'correctExamples', 'incorrectExamples', 'exercise']
+          }
+        },
+        difficulty: { type: SchemaType.STRING, format: 'enum', enum: this.difficultyLevels },
+        learningTips: strings
+      },
+      required: ['explanations', 'difficulty', 'learningTips']
+    };
+  }
+
+  /**
+   * @private
+   */
+  buildExplanationValidator(errorCount) {
+    return Joi.object({
+      explanations: Joi.array().items(Joi.object({
+        errorIndex: Joi.number().integer().min(0).max(errorCount - 1).required(),
+        ruleName: Joi.string().trim().min(1).required(),
+        explanation: Joi.string().trim().min(1).required(),
+        correctExamples: Joi.array().items(Joi.string()).required(),
+        incorrectExamples: Joi.array().items(Joi.string()).required(),
+        exercise: Joi.object({
+          question: Joi.string().trim().min(1).required(),
+          options: Joi.array().items(Joi.string()).min(2).required(),
+          answer: Joi.string().valid(Joi.in('options')).required(),
+          hint: Joi.string().allow('').default('')
+        }).required()
+      })).min(1).required(),
+      difficulty: Joi.string().valid(...this.difficultyLevels).required(),
+      learningTips: Joi.array().items(Joi.string()).default([])
+    });
+  }
+
   /**
    * Build grammar correction prompt
    * @private
    */
-  buildGrammarPrompt(text, language, options) {
-    const basePrompt = this.prompts[language].grammar;
+  buildGrammarPrompt(text, language, options, previousError = null) {
+    const basePrompt = `${this.prompts[language].grammar}\n${this.checkTypeInstructions[options.checkType]}`;
     const contextPrompt = options.context ? `Context: ${options.context}\n` : '';
     const formatInstructions = `
-⚠️ Respond in this strict format:
-CORRECTED: [only the corrected version here, do not add extra text]
-CHANGES: [list each grammar or word change clearly, one per line]
-SUGGESTIONS: [formal alternatives, writing tips, or enhancements]
+Respond with JSON only:
+- correctedText: the full corrected text, keeping the original meaning
+- errors: one entry per error, with its category (${this.checkTypeCategories[options.checkType].join(', ')}),
+  the exact erroneous span copied from the input as "original", its 0-based "start" and exclusive "end"
+  character offsets in the input, the "replacement" text and a short "explanation" in the language of the text
+- suggestions: optional writing tips
 `;
+    const ruleFindings = options.ruleFindings?.length
+      ? `\nA rule-based checker flagged these spans; include them unless they are wrong in context:\n${options.ruleFindings
+        .map(error => `- [${error.category}] ${JSON.stringify(error.original)} → ${JSON.stringify(error.replacement)}`)
+        .join('\n')}\n`
+      : '';
+    const retryPrompt = previousError
+      ? `\nYour previous response was rejected (${previousError}). Follow the JSON schema exactly.\n`
+      : '';
 
-    return `${contextPrompt}${basePrompt}\n\nText: "${text}"\n${formatInstructions}`;
+    return `${contextPrompt}${basePrompt}\n\nText: ${JSON.stringify(text)}\n${formatInstructions}${ruleFindings}${retryPrompt}`;
   }
 
   /**
@@ -227,23 +985,153 @@ SUGGESTIONS: [formal alternatives, writing tips, or enhancements]
   }
 
   /**
-   * Parse structured grammar response
+   * JSON schema Gemini's response has to follow, limited to the checked categories
+   * @private
+   */
+  buildCorrectionSchema(categories) {
+    return {
+      type: SchemaType.OBJECT,
+      properties: {
+        correctedText: { type: SchemaType.STRING, description: 'The full corrected text' },
+        errors: {
+          type: SchemaType.ARRAY,
+          items: {
+            type: SchemaType.OBJECT,
+            properties: {
+              category: { type: SchemaType.STRING, format: 'enum', enum: categories },
+              original: { type: SchemaType.STRING, description: 'Exact erroneous span copied from the input text' },
+              start: { type: SchemaType.INTEGER, description: '0-based offset of the span in the input text' },
+              end: { type: SchemaType.INTEGER, description: 'Offset just after the span' },
+              replacement: { type: SchemaType.STRING, description: 'Corrected span (empty to delete it)' },
+              explanation: { type: SchemaType.STRING, description: 'Short reason for the correction' }
+            },
+            required: ['category', 'original', 'start', 'end', 'replacement', 'explanation']
+          }
+        },
+        suggestions: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } }
+      },
+      required: ['correctedText', 'errors', 'suggestions']
+    };
+  }
+
+  /**
+   * Joi schema the response is validated against before it is used
+   * @private
+   */
+  buildCorrectionValidator(categories) {
+    return Joi.object({
+      correctedText: Joi.string().allow('').required(),
+      errors: Joi.array().items(Joi.object({
+        category: Joi.string().valid(...categories).required(),
+        original: Joi.string().allow('').required(),
+        start: Joi.number().integer().min(0).required(),
+        end: Joi.number().integer().min(Joi.ref('start')).required(),
+        replacement: Joi.string().allow('').required(),
+        explanation: Joi.string().allow('').required()
+      })).required(),
+      suggestions: Joi.array().items(Joi.string()).default([])
+    });
+  }
+
+  /**
+   * Parse and validate a JSON grammar response
+   * Error offsets are checked against the input; misplaced spans are moved to the nearest
+   * occurrence of their text and spans that cannot be found are dropped.
+   * @private
+   */
+  parseGrammarResponse(response, originalText, validator) {
+    let payload;
+    try {
+      payload = JSON.parse(response);
+    } catch (error) {
+      throw new Error('response is not valid JSON');
+    }
+
+    const { error, value } = validator.validate(payload, { stripUnknown: true });
+    if (error) {
+      const invalid = new Error(error.message);
+      // The corrected text may still be usable when only the error list is malformed
+      if (typeof payload?.correctedText === 'string' && payload.correctedText.trim()) {
+        invalid.correctedText = payload.correctedText.trim();
+      }
+      throw invalid;
+    }
+
+    return {
+      corrected: value.correctedText.trim() || originalText,
+      errors: value.errors
+        .map(entry => this.alignErrorSpan(entry, originalText))
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start),
+      suggestions: value.suggestions.filter(suggestion => suggestion.trim())
+    };
+  }
+
+  /**
+   * Make an error's offsets match its `original` text in the input
+   * @private
+   */
+  alignErrorSpan(entry, text) {
+    if (text.slice(entry.start, entry.end) === entry.original) return entry;
+    if (!entry.original) return null;
+
+    // Models often miscount offsets; use the occurrence closest to the reported start
+    let best = -1;
+    for (let index = text.indexOf(entry.original); index !== -1; index = text.indexOf(entry.original, index + 1)) {
+      if (best === -1 || Math.abs(index - entry.start) < Math.abs(best - entry.start)) best = index;
+    }
+
+    return best === -1 ? null : { ...entry, start: best, end: best + entry.original.length };
+  }
+
+  /**
+   * Add rule-based findings that Gemini did not report
+   * A finding is applied to the corrected text only where Gemini left that part of the text unchanged;
+   * findings next to or inside one of Gemini's edits are dropped.
    * @private
    */
-  parseGrammarResponse(response, originalText) {
-    const correctedMatch = response.match(/CORRECTED:\s*(.*?)(?=\n[A-Z]+:|$)/s);
-    const changesMatch = response.match(/CHANGES:\s*(.*?)(?=\n[A-Z]+:|$)/s);
-    const suggestionsMatch = response.match(/SUGGESTIONS:\s*(.*)/s);
+  mergeRuleErrors(text, corrected, diff, modelErrors, ruleErrors) {
+    const errors = [...modelErrors];
+    const additions = [];
 
-    const fallbackTrim = response.replace(/^(CORRECTED:|CHANGES:|SUGGESTIONS:)/gm, '').trim();
+    for (const ruleError of ruleErrors) {
+      if (errors.some(error => ruleBasedGrammarChecker.overlaps(error, ruleError))) continue;
+
+      const touched = diff.edits.some(edit => edit.original.start <= ruleError.end && edit.original.end >= ruleError.start);
+      if (touched) continue;
+
+      // Outside the edits both texts are identical, so offsets shift by the edits before the span
+      const previousEdit = diff.edits.filter(edit => edit.original.end <= ruleError.start).pop();
+      const start = previousEdit
+        ? previousEdit.corrected.end + (ruleError.start - previousEdit.original.end)
+        : ruleError.start;
+      if (corrected.slice(start, start + ruleError.original.length) !== ruleError.original) continue;
+
+      errors.push(ruleError);
+      additions.push({ ...ruleError, start, end: start + ruleError.original.length });
+    }
 
     return {
-      corrected: correctedMatch?.[1]?.trim() || fallbackTrim,
-      changes: changesMatch ? changesMatch[1].trim().split('\n').filter(c => c.trim()) : [],
-      suggestions: suggestionsMatch ? suggestionsMatch[1].trim().split('\n').filter(s => s.trim()) : []
+      corrected: textDiff.applyReplacements(corrected, additions),
+      errors: errors.sort((a, b) => a.start - b.start)
     };
   }
 
+  /**
+   * Error entries built from the local diff (style rewrites, or when the model response is unusable)
+   * @private
+   */
+  errorsFromDiff(diff, category) {
+    return diff.edits.map(edit => ({
+      category,
+      original: edit.original.text,
+      start: edit.original.start,
+      end: edit.original.end,
+      replacement: edit.corrected.text,
+      explanation: ''
+    }));
+  }
+
   /**
    * Calculate confidence score for corrections
    * @private
@@ -257,15 +1145,22 @@ SUGGESTIONS: [formal alternatives, writing tips, or enhancements]
   }
 
   /**
-   * Calculate text similarity (simple implementation)
+   * Score from 0 to 100: share of words in the original text without an error
    * @private
    */
-  calculateSimilarity(text1, text2) {
-    const words1 = text1.toLowerCase().split(/\s+/);
-    const words2 = text2.toLowerCase().split(/\s+/);
-    const intersection = words1.filter(word => words2.includes(word));
+  calculateScore(result) {
+    const words = result.diff?.stats.originalWords || 0;
+    if (words === 0) return 100;
+
+    return Math.round(100 * Math.max(0, 1 - result.errors.length / words));
+  }
 
-    return intersection.length / Math.max(words1.length, words2.length);
+  /**
+   * Calculate text similarity from the in-order word diff (case-insensitive)
+   * @private
+   */
+  calculateSimilarity(text1, text2) {
+    return textDiff.similarity(text1.toLowerCase(), text2.toLowerCase());
   }
 
   /**
@@ -295,7 +1190,7 @@ SUGGESTIONS: [formal alternatives, writing tips, or enhancements]
       recommendations.push('Text may need human review for complex grammar issues');
     }
 
-    if (styleResult.improvements.wordCountChange > 20) {
+    if (styleResult && styleResult.improvements.wordCountChange > 20) {
       recommendations.push('Text structure was significantly improved - consider using similar patterns');
     }
 
@@ -0,0 +1,455 @@
+// services/imagePreprocessor.js
+const sharp = require('sharp');
+
+class ImagePreprocessor {
+  constructor() {
+    this.maxSteps = 20;
+    this.maxDimension = 8000; // Guard against runaway upscaling
+    this.previewMaxWidth = 1200;
+
+    // Orientation analysis works on a downscaled copy; skew is searched within ±maxSkewAngle degrees
+    this.analysisSize = 800;
+    this.maxSkewAngle = 20;
+
+    // Applied when the caller does not supply a pipeline; tuned for faded handwriting
+    this.defaultPipeline = [
+      { op: 'grayscale' },
+      { op: 'denoise' },
+      { op: 'threshold', method: 'otsu' }
+    ];
+
+    // Normalizers validate a step and fill in defaults, returning the parameters actually used
+    this.operations = {
+      grayscale: () => ({}),
+      invert: () => ({}),
+      brightness: (step) => ({ value: this.numberParam(step, 'value', 1.1, 0.1, 3) }),
+      contrast: (step) => ({ value: this.numberParam(step, 'value', 1.2, 0.1, 3) }),
+      threshold: (step) => {
+        const method = step.method || (step.value !== undefined ? 'fixed' : 'otsu');
+        if (!['otsu', 'fixed'].includes(method)) {
+          throw new Error(`Invalid preprocessing step 'threshold': method must be 'otsu' or 'fixed'`);
+        }
+        return method === 'fixed'
+          ? { method, value: this.numberParam(step, 'value', 128, 0, 255) }
+          : { method };
+      },
+      denoise: (step) => {
+        const size = this.numberParam(step, 'size', 3, 3, 9);
+        return { size: size % 2 === 0 ? size + 1 : size }; // Median window must be odd
+      },
+      deskew: (step) => ({
+        // 'auto' (default) detects the skew angle with a projection profile
+        angle: step.angle === undefined || step.angle === 'auto' ? 'auto' : this.numberParam(step, 'angle', 0, -45, 45)
+      }),
+      rotate: (step) => ({ angle: this.numberParam(step, 'angle', 0, -360, 360) }),
+      crop: (step) => ({
+        left: this.numberParam(step, 'left', 0, 0, this.maxDimension),
+        top: this.numberParam(step, 'top', 0, 0, this.maxDimension),
+        width: this.numberParam(step, 'width', undefined, 1, this.maxDimension),
+        height: this.numberParam(step, 'height', undefined, 1, this.maxDimension)
+      }),
+      resize: (step) => {
+        if (step.width === undefined && step.height === undefined && step.scale === undefined) {
+          throw new Error(`Invalid preprocessing step 'resize': provide width, height or scale`);
+        }
+        return step.scale !== undefined
+          ? { scale: this.numberParam(step, 'scale', undefined, 0.1, 4) }
+          : {
+              ...(step.width !== undefined && { width: this.numberParam(step, 'width', undefined, 1, this.maxDimension) }),
+              ...(step.height !== undefined && { height: this.numberParam(step, 'height', undefined, 1, this.maxDimension) })
+            };
+      }
+    };
+  }
+
+  /**
+   * Validate a pipeline definition and fill in default parameters
+   * Steps may be operation names ('grayscale') or objects ({ op: 'threshold', method: 'otsu' }).
+   * @param {Array|string} pipeline - Pipeline definition (a JSON string is accepted for multipart forms)
+   * @returns {Array<Object>} - Normalized steps
+   */
+  normalizePipeline(pipeline) {
+    if (pipeline === undefined || pipeline === null || pipeline === '') {
+      return this.defaultPipeline.map(step => this.normalizeStep(step));
+    }
+
+    let steps = pipeline;
+    if (typeof pipeline === 'string') {
+      try {
+        steps = JSON.parse(pipeline);
+      } catch (error) {
+        throw new Error('Invalid preprocessing pipeline: must be a JSON array of steps');
+      }
+    }
+
+    if (!Array.isArray(steps)) {
+      throw new Error('Invalid preprocessing pipeline: must be an array of steps');
+    }
+
+    if (steps.length > this.maxSteps) {
+      throw new Error(`Invalid preprocessing pipeline: at most ${this.maxSteps} steps are allowed`);
+    }
+
+    return steps.map(step => this.normalizeStep(typeof step === 'string' ? { op: step } : step));
+  }
+
+  /**
+   * Apply a pipeline to an image, one step at a time in the given order
+   * @param {Buffer} imageBuffer - Source image
+   * @param {Array|string} pipeline - Pipeline definition
+   * @returns {Promise<Object>} - { buffer (PNG), steps (parameters actually used), width, height }
+   */
+  async process(imageBuffer, pipeline) {
+    const steps = this.normalizePipeline(pipeline);
+
+    let image;
+    try {
+      // Decode once and keep raw pixels between steps; honour EXIF orientation from phone cameras
+      // and flatten transparency onto white so every step sees opaque pixels
+      image = await sharp(imageBuffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      throw new Error(`invalid image: ${error.message}`);
+    }
+
+    const appliedSteps = [];
+    for (const step of steps) {
+      const { result, applied } = await this.applyStep(image, step);
+      image = result;
+      appliedSteps.push(applied);
+    }
+
+    const buffer = await this.toSharp(image).png().toBuffer();
+
+    return {
+      buffer,
+      steps: appliedSteps,
+      width: image.info.width,
+      height: image.info.height
+    };
+  }
+
+  /**
+   * Build a downscaled base64 data URL of a processed image for previews
+   * @param {Buffer} imageBuffer - PNG image
+   * @returns {Promise<string>} - data:image/png;base64,...
+   */
+  async createPreview(imageBuffer) {
+    const preview = await sharp(imageBuffer)
+      .resize({ width: this.previewMaxWidth, withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    return `data:image/png;base64,${preview.toString('base64')}`;
+  }
+
+  /**
+   * Detect page orientation (0/90 degrees) and skew with a projection-profile search
+   * Text lines produce the sharpest row profile when they are horizontal, so the angle
+   * maximising profile sharpness is the clockwise rotation that straightens the page.
+   * Upside-down pages cannot be told apart this way (see OCRService.correctOrientation).
+   * @param {Buffer} imageBuffer - Source image
+   * @returns {Promise<Object>} - { rotation, quarterTurn, skewAngle, confidence, textDetected }
+   */
+  async detectOrientation(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize({ width: this.analysisSize, height: this.analysisSize, fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const points = this.collectInkPoints(data, info.width, info.height);
+    if (points.length < 100) {
+      return { rotation: 0, quarterTurn: 0, skewAngle: 0, confidence: 0, textDetected: false };
+    }
+
+    const horizontal = this.findBestAngle(points, 0);
+    const vertical = this.findBestAngle(points, 90);
+
+    // Prefer the upright reading unless the rotated profile is clearly sharper
+    const best = vertical.score > horizontal.score * 1.15 ? vertical : horizontal;
+    const other = best === vertical ? horizontal : vertical;
+    const quarterTurn = best === vertical ? 90 : 0;
+
+    return {
+      rotation: best.angle,
+      quarterTurn,
+      skewAngle: parseFloat((best.angle - quarterTurn).toFixed(1)),
+      // How much sharper the chosen profile is than the perpendicular one (about 1 when ambiguous)
+      confidence: parseFloat((best.score / Math.max(other.score, 1e-9)).toFixed(2)),
+      textDetected: true
+    };
+  }
+
+  /**
+   * Rotate an image clockwise by an arbitrary angle onto a white background
+   * @param {Buffer} imageBuffer - Source image
+   * @param {number} angle - Degrees clockwise
+   * @param {Object} options - { maxWidth } to also downscale the result
+   * @returns {Promise<Buffer>} - PNG image
+   */
+  async rotateImage(imageBuffer, angle, options = {}) {
+    const normalized = ((angle % 360) + 360) % 360;
+
+    // Apply EXIF orientation first; sharp cannot combine it with an explicit angle in one pass
+    let upright = sharp(imageBuffer)
+      .rotate()
+      .flatten({ background: '#ffffff' });
+
+    if (options.maxWidth) {
+      upright = upright.resize({ width: options.maxWidth, withoutEnlargement: true });
+    }
+
+    const uprightBuffer = await upright.png().toBuffer();
+    if (normalized === 0) return uprightBuffer;
+
+    return sharp(uprightBuffer)
+      .rotate(normalized, { background: '#ffffff' })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Pick ink pixels (the minority class after Otsu binarisation) as sample points
+   * @private
+   */
+  collectInkPoints(data, width, height) {
+    const threshold = this.computeOtsuThreshold(this.histogram(data));
+
+    let darkCount = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] <= threshold) darkCount++;
+    }
+    // Light text on a dark background: treat the light pixels as ink
+    const inkIsDark = darkCount <= data.length / 2;
+
+    const maxPoints = 40000;
+    const inkCount = inkIsDark ? darkCount : data.length - darkCount;
+    const stride = Math.max(1, Math.ceil(inkCount / maxPoints));
+
+    const points = [];
+    let seen = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const isInk = inkIsDark ? data[y * width + x] <= threshold : data[y * width + x] > threshold;
+        if (isInk && seen++ % stride === 0) {
+          points.push([x, y]);
+        }
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Search angles around a centre for the sharpest horizontal projection profile
+   * Coarse 1° steps, then 0.1° refinement around the best coarse angle.
+   * @private
+   */
+  findBestAngle(points, centre) {
+    const search = (from, to, step, best) => {
+      for (let angle = from; angle <= to + 1e-9; angle += step) {
+        const score = this.profileScore(points, angle);
+        if (score > best.score) best = { angle: parseFloat(angle.toFixed(1)), score };
+      }
+      return best;
+    };
+
+    const coarse = search(centre - this.maxSkewAngle, centre + this.maxSkewAngle, 1, { angle: centre, score: -1 });
+    return search(coarse.angle - 1, coarse.angle + 1, 0.1, coarse);
+  }
+
+  /**
+   * Sharpness (sum of squared bin counts) of the row profile after rotating points clockwise
+   * @private
+   */
+  profileScore(points, angle) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const bins = new Map();
+
+    for (const [x, y] of points) {
+      const row = Math.round((x * sin + y * cos) / 2);
+      bins.set(row, (bins.get(row) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const count of bins.values()) score += count * count;
+    return score / points.length;
+  }
+
+  /**
+   * Compute the Otsu threshold of a 256-bin histogram
+   * @param {Array<number>} histogram - Pixel counts per grey level
+   * @returns {number} - Threshold (0-255)
+   */
+  computeOtsuThreshold(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    const weightedTotal = histogram.reduce((sum, count, level) => sum + level * count, 0);
+
+    let backgroundWeight = 0;
+    let backgroundSum = 0;
+    let bestThreshold = 0;
+    let bestVariance = -1;
+
+    for (let level = 0; level < 256; level++) {
+      backgroundWeight += histogram[level];
+      if (backgroundWeight === 0) continue;
+
+      const foregroundWeight = total - backgroundWeight;
+      if (foregroundWeight === 0) break;
+
+      backgroundSum += level * histogram[level];
+      const backgroundMean = backgroundSum / backgroundWeight;
+      const foregroundMean = (weightedTotal - backgroundSum) / foregroundWeight;
+      const betweenVariance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+
+      if (betweenVariance > bestVariance) {
+        bestVariance = betweenVariance;
+        bestThreshold = level;
+      }
+    }
+
+    return bestThreshold;
+  }
+
+  /**
+   * @private
+   */
+  normalizeStep(step) {
+    if (!step || typeof step !== 'object' || typeof step.op !== 'string') {
+      throw new Error(`Invalid preprocessing step: each step needs an 'op' name`);
+    }
+
+    const normalize = this.operations[step.op];
+    if (!normalize) {
+      throw new Error(
+        `Invalid preprocessing step '${step.op}': supported operations are ${Object.keys(this.operations).join(', ')}`
+      );
+    }
+
+    return { op: step.op, ...normalize(step) };
+  }
+
+  /**
+   * Read a numeric step parameter, applying its default and bounds
+   * @private
+   */
+  numberParam(step, name, defaultValue, min, max) {
+    const raw = step[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (defaultValue === undefined) {
+        throw new Error(`Invalid preprocessing step '${step.op}': '${name}' is required`);
+      }
+      return defaultValue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid preprocessing step '${step.op}': '${name}' must be between ${min} and ${max}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  toSharp({ data, info }) {
+    return sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    });
+  }
+
+  /**
+   * Apply a single normalized step to raw pixels
+   * @private
+   */
+  async applyStep(image, step) {
+    const { width, height } = image.info;
+    let pipeline = this.toSharp(image);
+    let applied = { ...step };
+
+    switch (step.op) {
+      case 'grayscale':
+        pipeline = pipeline.grayscale();
+        break;
+      case 'invert':
+        pipeline = pipeline.negate({ alpha: false });
+        break;
+      case 'brightness':
+        pipeline = pipeline.linear(step.value, 0);
+        break;
+      case 'contrast':
+        // Stretch around mid-grey so the average brightness is preserved
+        pipeline = pipeline.linear(step.value, 128 * (1 - step.value));
+        break;
+      case 'threshold': {
+        const grey = await pipeline.grayscale().raw().toBuffer({ resolveWithObject: true });
+        const value = step.method === 'otsu' ? this.computeOtsuThreshold(this.histogram(grey.data)) : step.value;
+        applied = { ...step, value };
+        pipeline = this.toSharp(grey).threshold(Math.max(1, value), { grayscale: true });
+        break;
+      }
+      case 'denoise':
+        pipeline = pipeline.median(step.size);
+        break;
+      case 'deskew':
+      case 'rotate': {
+        let angle = step.angle;
+        if (angle === 'auto') {
+          const png = await pipeline.png().toBuffer();
+          const orientation = await this.detectOrientation(png);
+          angle = orientation.skewAngle;
+          pipeline = this.toSharp(image);
+          applied = { ...step, angle: 'auto', detectedAngle: angle };
+        }
+        if (angle !== 0) {
+          pipeline = pipeline.rotate(angle, { background: '#ffffff' });
+        }
+        break;
+      }
+      case 'crop': {
+        if (step.left + step.width > width || step.top + step.height > height) {
+          throw new Error(`Invalid preprocessing step 'crop': region exceeds image size ${width}x${height}`);
+        }
+        pipeline = pipeline.extract({ left: step.left, top: step.top, width: step.width, height: step.height });
+        break;
+      }
+      case 'resize': {
+        const target = step.scale !== undefined
+          ? { width: Math.round(width * step.scale), height: Math.round(height * step.scale) }
+          : { width: step.width, height: step.height };
+
+        if ((target.width || 0) > this.maxDimension || (target.height || 0) > this.maxDimension) {
+          throw new Error(`Invalid preprocessing step 'resize': result exceeds ${this.maxDimension}px`);
+        }
+        pipeline = pipeline.resize({ ...target, kernel: 'lanczos3', fit: target.width && target.height ? 'fill' : 'inside' });
+        break;
+      }
+    }
+
+    const result = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    return { result, applied };
+  }
+
+  /**
+   * Histogram of single-channel pixel data
+   * @private
+   */
+  histogram(data) {
+    const bins = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) {
+      bins[data[i]]++;
+    }
+    return bins;
+  }
+}
+
+module.exports = new ImagePreprocessor();
@@ -0,0 +1,137 @@
+// services/languageToolProvider.js
+const textDiff = require('./textDiff');
+
+class LanguageToolProvider {
+  constructor() {
+    this.name = 'languagetool';
+
+    // Base URL of a LanguageTool server including the API version, e.g. http://localhost:8081/v2
+    this.apiUrl = (process.env.LANGUAGE_TOOL_API_URL || '').replace(/\/+$/, '');
+    this.timeout = parseInt(process.env.LANGUAGE_TOOL_TIMEOUT_MS, 10) || 10000;
+
+    // Indian English follows British spelling
+    this.languageCodes = {
+      english: process.env.LANGUAGE_TOOL_ENGLISH_VARIANT || 'en-GB'
+    };
+
+    // LanguageTool rule categories mapped to our error categories
+    this.categoryMap = {
+      TYPOS: 'spelling',
+      CASING: 'spelling',
+      COMPOUNDING: 'spelling',
+      GRAMMAR: 'grammar',
+      PUNCTUATION: 'punctuation',
+      TYPOGRAPHY: 'punctuation',
+      CONFUSED_WORDS: 'word_choice',
+      COLLOCATIONS: 'word_choice',
+      SEMANTICS: 'word_choice',
+      STYLE: 'style',
+      REDUNDANCY: 'style',
+      PLAIN_ENGLISH: 'style'
+    };
+    // Grammar rules about subject-verb and determiner-noun agreement
+    this.agreementRulePattern = /AGREEMENT|_AGR\b|_AGR_|NON3PRS|3SG/;
+  }
+
+  /**
+   * Whether a LanguageTool server is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.apiUrl);
+  }
+
+  /**
+   * @param {string} language - hindi/punjabi/english
+   * @returns {boolean}
+   */
+  supports(language) {
+    return Boolean(this.languageCodes[language]);
+  }
+
+  /**
+   * Check a text with LanguageTool and map the matches to grammar errors
+   * Matches with a replacement become errors (the first replacement is applied to the corrected text);
+   * matches without one, such as style hints, become suggestions.
+   * @param {string} text - Text to check
+   * @param {string} language - Language of the text (english)
+   * @param {Object} options - { categories: error categories to report }
+   * @returns {Promise<Object>} - { corrected, errors, suggestions, structured }
+   */
+  async correct(text, language, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('LANGUAGE_TOOL_API_URL is not set');
+    }
+
+    const response = await fetch(`${this.apiUrl}/check`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams({ text, language: this.languageCodes[language] }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LanguageTool request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const { matches = [] } = await response.json();
+    const errors = [];
+    const suggestions = [];
+
+    for (const match of matches) {
+      const category = this.mapCategory(match.rule);
+      if (options.categories && !options.categories.includes(category)) continue;
+
+      const explanation = this.cleanMessage(match.message);
+      const replacement = match.replacements?.[0]?.value;
+      const start = match.offset;
+      const end = match.offset + match.length;
+
+      // Overlapping matches cannot all be applied; keep the first
+      if (replacement === undefined || errors.some(error => error.start < end && start < error.end)) {
+        if (explanation && !suggestions.includes(explanation)) suggestions.push(explanation);
+        continue;
+      }
+
+      errors.push({
+        category,
+        original: text.slice(start, end),
+        start,
+        end,
+        replacement,
+        explanation,
+        rule: match.rule?.id
+      });
+    }
+
+    return {
+      corrected: textDiff.applyReplacements(text, errors),
+      errors,
+      suggestions,
+      structured: true
+    };
+  }
+
+  /**
+   * @private
+   */
+  mapCategory(rule) {
+    if (this.agreementRulePattern.test(rule?.id || '')) return 'agreement';
+    return this.categoryMap[rule?.category?.id] || 'other';
+  }
+
+  /**
+   * Messages mark proposed words as <suggestion>word</suggestion>
+   * @private
+   */
+  cleanMessage(message) {
+    return (message || '').replace(/<suggestion>(.*?)<\/suggestion>/g, '"$1"').trim();
+  }
+}
+
+module.exports = new LanguageToolProvider();
@@ -0,0 +1,199 @@
+// services/mathRegionDetector.js
+
+class MathRegionDetector {
+  constructor() {
+    // Operators, relations and symbols that rarely occur in Hindi/Punjabi/English prose;
+    // brackets, '%', '|' and the hyphen are left out because they are ordinary punctuation
+    this.symbolPattern = /[=+−×÷*/^√∑∏∫∂πθλμΔ∞≈≠≤≥<>±°²³¹⁰-⁹₀-₉]/u;
+    this.relationPattern = /[=<>≤≥≠≈]/u;
+    // Operator between two operands, e.g. "2+3", "a × b", "x^2"; a hyphen only counts with spaces
+    // around it ("a - b") or between a letter and a digit ("x-1"), not in compounds such as "well-known"
+    this.operationPattern = /[\p{L}\p{N})\]]\s*[+−×÷*/^]\s*[\p{L}\p{N}([√]|[\p{L}\p{N})\]]\s+-\s+[\p{L}\p{N}([√]|\p{L}-\p{N}|\p{N}-\p{L}/u;
+    // Numbers, single-letter variables and short letter/digit terms such as 2x, x2, 6H2O, C6H12O6
+    this.termPattern = /^(?:\d+(?:[.,]\d+)?|[A-Za-z]|\d*[A-Za-z]{1,2}\d*|(?=.*\d)[A-Za-z\d]{2,12})$/;
+    // A word that is a formula on its own, e.g. "E=mc²" inside a sentence
+    this.inlinePattern = /[=√∑∫∂≈≠≤≥²³^]|\d\s*[+−×÷*/]\s*\d/u;
+    // Dates ("12/08/2024", "12-08-24") and number ranges ("10-12)", "3–5") are prose, not formulas
+    this.datePattern = /^\(?\d{1,4}[/.\-]\d{1,2}[/.\-]\d{1,4}[).,;:]*$/;
+    this.rangePattern = /^\(?\d+(?:[.,]\d+)?[-–]\d+(?:[.,]\d+)?[).,;:]*$/;
+    // Letters of prose words: Devanagari/Gurmukhi words or Latin words of four letters or more
+    this.prosePattern = /^[ऀ-ॿ਀-੿]{2,}|^[A-Za-z]{4,}$/;
+
+    // Weight of each heuristic; a line is a formula when its score reaches minScore
+    this.weights = {
+      symbol_density: 0.35,
+      equation_operator: 0.3,
+      variable_terms: 0.2,
+      numeric: 0.15,
+      tall_line: 0.1,
+      low_confidence: 0.1
+    };
+    this.minScore = 0.6;
+    this.minSymbolRatio = 0.2;
+    this.tallLineRatio = 1.6; // Stacked fractions and exponents make lines taller than the text around them
+    this.lowConfidence = 50;
+  }
+
+  /**
+   * Find likely formula regions in an OCR layout
+   * Whole lines are scored on symbol density, operators, variable-like terms, digits,
+   * line height and confidence; formulas inside prose lines are reported word by word.
+   * @param {Array<Object>} layout - Output of ocrLayoutFormatter.buildLayout
+   * @param {Array<Object>} words - Flat OCR words (region wordIndexes point into this list)
+   * @returns {Object} - { regions: [{ type: 'display' | 'inline', text, bbox, score, reasons, wordIndexes }],
+   *                       wordIndexes: Set of every word index inside a region }
+   */
+  detect(layout, words = []) {
+    const lines = (layout || []).flatMap(block => block.paragraphs.flatMap(
+      paragraph => paragraph.lines.map(line => ({ ...line, paragraph }))
+    ));
+
+    this.assignWordIndexes(lines, words);
+
+    const heights = lines.map(line => this.height(line.bbox)).filter(Boolean).sort((a, b) => a - b);
+    const medianHeight = heights.length ? heights[Math.floor(heights.length / 2)] : 0;
+
+    const regions = [];
+    let current = null;
+
+    for (const line of lines) {
+      const { score, reasons } = this.scoreLine(line, medianHeight);
+
+      if (score >= this.minScore) {
+        // Consecutive formula lines of a paragraph form one region (e.g. a multi-line derivation)
+        if (current && current.paragraph === line.paragraph) {
+          current.lines.push({ line, score, reasons });
+        } else {
+          current = { paragraph: line.paragraph, lines: [{ line, score, reasons }] };
+          regions.push(current);
+        }
+        continue;
+      }
+
+      current = null;
+      for (const word of line.words) {
+        if (word.index !== null && this.isInlineFormula(word.text)) {
+          regions.push({ inline: word });
+        }
+      }
+    }
+
+    const shaped = regions.map(region => (region.inline
+      ? {
+        type: 'inline',
+        text: region.inline.text,
+        bbox: region.inline.bbox,
+        score: 1,
+        reasons: ['inline_formula'],
+        wordIndexes: [region.inline.index]
+      }
+      : {
+        type: 'display',
+        text: region.lines.map(entry => entry.line.text).join('\n'),
+        bbox: this.unionBox(region.lines.map(entry => entry.line.bbox)),
+        score: parseFloat(Math.max(...region.lines.map(entry => entry.score)).toFixed(2)),
+        reasons: [...new Set(region.lines.flatMap(entry => entry.reasons))],
+        wordIndexes: region.lines
+          .flatMap(entry => entry.line.words.map(word => word.index))
+          .filter(index => index !== null)
+      }));
+
+    return {
+      regions: shaped,
+      wordIndexes: new Set(shaped.flatMap(region => region.wordIndexes))
+    };
+  }
+
+  /**
+   * Score one layout line; prose words lower the score so sentences with a number stay prose
+   * @private
+   */
+  scoreLine(line, medianHeight) {
+    const tokens = line.words.map(word => word.text).filter(token => !this.isDateOrRange(token));
+    const chars = [...tokens.join('')];
+    if (chars.length === 0) return { score: 0, reasons: [] };
+    const text = tokens.join(' ');
+
+    const symbols = chars.filter(char => this.symbolPattern.test(char)).length;
+    const digits = chars.filter(char => /\p{N}/u.test(char)).length;
+    // Operand tokens only; standalone operators such as '+' or '=' are covered by the symbol checks
+    const operands = tokens.filter(token => /[\p{L}\p{N}]/u.test(token));
+    const terms = operands.filter(token => this.termPattern.test(token.replace(/[^\p{L}\p{N}.,]/gu, ''))).length;
+    const prose = operands.filter(token => this.prosePattern.test(token.replace(/[^\p{L}\p{M}]/gu, ''))).length;
+    const confidences = line.words.map(word => word.confidence).filter(value => typeof value === 'number');
+    const averageConfidence = confidences.length
+      ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+      : null;
+
+    const reasons = [];
+    if (symbols / chars.length >= this.minSymbolRatio) reasons.push('symbol_density');
+    if (this.relationPattern.test(text) || this.operationPattern.test(text)) reasons.push('equation_operator');
+    if (operands.length && terms / operands.length >= 0.5) reasons.push('variable_terms');
+    if (digits / chars.length >= 0.3) reasons.push('numeric');
+    if (medianHeight && this.height(line.bbox) >= medianHeight * this.tallLineRatio) reasons.push('tall_line');
+    if (averageConfidence !== null && averageConfidence < this.lowConfidence) reasons.push('low_confidence');
+
+    const proseRatio = operands.length ? prose / operands.length : 0;
+    const score = reasons.reduce((sum, reason) => sum + this.weights[reason], 0) - 0.5 * proseRatio;
+
+    return { score: Math.max(0, Math.min(1, score)), reasons };
+  }
+
+  /**
+   * @private
+   */
+  isInlineFormula(text) {
+    const token = (text || '').trim();
+    return token.length >= 3 && !this.isDateOrRange(token) && this.inlinePattern.test(token);
+  }
+
+  /**
+   * @private
+   */
+  isDateOrRange(token) {
+    return this.datePattern.test(token) || this.rangePattern.test(token);
+  }
+
+  /**
+   * Point layout words at their position in the flat word list (matched in reading order)
+   * @private
+   */
+  assignWordIndexes(lines, words) {
+    let cursor = 0;
+
+    for (const line of lines) {
+      line.words = line.words.map(word => {
+        let index = cursor;
+        while (index < words.length && words[index].text !== word.text) index++;
+
+        if (index >= words.length) return { ...word, index: null };
+        cursor = index + 1;
+        return { ...word, index };
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  height(bbox) {
+    return bbox ? bbox.y1 - bbox.y0 : 0;
+  }
+
+  /**
+   * @private
+   */
+  unionBox(boxes) {
+    const valid = boxes.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    return {
+      x0: Math.min(...valid.map(box => box.x0)),
+      y0: Math.min(...valid.map(box => box.y0)),
+      x1: Math.max(...valid.map(box => box.x1)),
+      y1: Math.max(...valid.map(box => box.y1))
+    };
+  }
+}
+
+module.exports = new MathRegionDetector();
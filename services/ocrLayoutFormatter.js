@@ -0,0 +1,221 @@
+// services/ocrLayoutFormatter.js
+
+class OcrLayoutFormatter {
+  constructor() {
+    this.outputFormats = ['hocr', 'alto'];
+
+    // Tesseract block types that carry recognisable text
+    this.textBlockTypes = ['FLOWING_TEXT', 'HEADING_TEXT', 'PULLOUT_TEXT', 'VERTICAL_TEXT', 'CAPTION_TEXT'];
+  }
+
+  /**
+   * Reduce Tesseract's block tree to blocks -> paragraphs -> lines -> words
+   * Only text, confidence and bounding boxes are kept; empty nodes are dropped.
+   * @param {Array} blocks - result.data.blocks from Tesseract.recognize
+   * @returns {Array<Object>} - Layout blocks
+   */
+  buildLayout(blocks) {
+    return (blocks || [])
+      .map(block => ({
+        type: this.textBlockTypes.includes(block.blocktype) ? 'text' : (block.blocktype || 'unknown').toLowerCase(),
+        text: this.cleanText(block.text),
+        confidence: this.roundConfidence(block.confidence),
+        bbox: block.bbox,
+        paragraphs: (block.paragraphs || [])
+          .map(paragraph => ({
+            text: this.cleanText(paragraph.text),
+            confidence: this.roundConfidence(paragraph.confidence),
+            bbox: paragraph.bbox,
+            lines: (paragraph.lines || [])
+              .map(line => ({
+                text: this.cleanText(line.text),
+                confidence: this.roundConfidence(line.confidence),
+                bbox: line.bbox,
+                baseline: line.baseline,
+                words: (line.words || [])
+                  .filter(word => word.text && word.text.trim())
+                  .map(word => ({
+                    text: word.text,
+                    confidence: this.roundConfidence(word.confidence),
+                    bbox: word.bbox
+                  }))
+              }))
+              .filter(line => line.words.length > 0)
+          }))
+          .filter(paragraph => paragraph.lines.length > 0)
+      }))
+      .filter(block => block.paragraphs.length > 0);
+  }
+
+  /**
+   * Plain text with one blank line between paragraphs and lines re-flowed
+   * @param {Array<Object>} layout - Output of buildLayout
+   * @returns {string}
+   */
+  toParagraphText(layout) {
+    return layout
+      .flatMap(block => block.paragraphs)
+      .map(paragraph => paragraph.lines.map(line => line.text).join(' '))
+      .join('\n\n');
+  }
+
+  /**
+   * Render a layout in an XML output format
+   * @param {Array<Object>} layout - Output of buildLayout
+   * @param {string} format - 'hocr' or 'alto'
+   * @param {Object} page - { width, height, language }
+   * @returns {string}
+   */
+  render(layout, format, page = {}) {
+    const pageBox = this.resolvePageBox(layout, page);
+
+    switch (format) {
+      case 'hocr':
+        return this.toHocr(layout, pageBox, page.language);
+      case 'alto':
+        return this.toAlto(layout, pageBox, page.language);
+      default:
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+  }
+
+  /**
+   * hOCR 1.2 document (XHTML with ocr_page/ocr_carea/ocr_par/ocr_line/ocrx_word)
+   * @private
+   */
+  toHocr(layout, pageBox, language) {
+    const title = (bbox, extra = '') => `bbox ${bbox.x0} ${bbox.y0} ${bbox.x1} ${bbox.y1}${extra}`;
+    const langAttribute = language ? ` lang="${this.escapeXml(language)}"` : '';
+    const ids = { block: 0, par: 0, line: 0, word: 0 };
+    const out = [];
+
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">');
+    out.push(`<html xmlns="http://www.w3.org/1999/xhtml"${language ? ` xml:lang="${this.escapeXml(language)}"` : ''}${langAttribute}>`);
+    out.push('<head>');
+    out.push('<title></title>');
+    out.push('<meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>');
+    out.push('<meta name="ocr-system" content="tesseract.js"/>');
+    out.push('<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>');
+    out.push('</head>');
+    out.push('<body>');
+    out.push(`<div class="ocr_page" id="page_1" title="${title(pageBox, '; ppageno 0')}">`);
+
+    for (const block of layout) {
+      out.push(`<div class="ocr_carea" id="block_1_${++ids.block}" title="${title(block.bbox)}">`);
+      for (const paragraph of block.paragraphs) {
+        out.push(`<p class="ocr_par" id="par_1_${++ids.par}"${langAttribute} title="${title(paragraph.bbox)}">`);
+        for (const line of paragraph.lines) {
+          out.push(`<span class="ocr_line" id="line_1_${++ids.line}" title="${title(line.bbox)}">`);
+          out.push(line.words.map(word =>
+            `<span class="ocrx_word" id="word_1_${++ids.word}" title="${title(word.bbox, `; x_wconf ${Math.round(word.confidence || 0)}`)}">${this.escapeXml(word.text)}</span>`
+          ).join(' '));
+          out.push('</span>');
+        }
+        out.push('</p>');
+      }
+      out.push('</div>');
+    }
+
+    out.push('</div>');
+    out.push('</body>');
+    out.push('</html>');
+
+    return out.join('\n');
+  }
+
+  /**
+   * ALTO v4 document (TextBlock per paragraph, TextLine/String/SP per line)
+   * @private
+   */
+  toAlto(layout, pageBox, language) {
+    const position = bbox =>
+      `HPOS="${bbox.x0}" VPOS="${bbox.y0}" WIDTH="${bbox.x1 - bbox.x0}" HEIGHT="${bbox.y1 - bbox.y0}"`;
+    const langAttribute = language ? ` LANG="${this.escapeXml(language)}"` : '';
+    const ids = { block: 0, line: 0, word: 0 };
+    const out = [];
+
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/standards/alto/v4/alto-4-2.xsd">');
+    out.push('<Description>');
+    out.push('<MeasurementUnit>pixel</MeasurementUnit>');
+    out.push('<OCRProcessing ID="OCR_0"><ocrProcessingStep><processingSoftware><softwareName>tesseract.js</softwareName></processingSoftware></ocrProcessingStep></OCRProcessing>');
+    out.push('</Description>');
+    out.push('<Layout>');
+    out.push(`<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="${pageBox.x1}" HEIGHT="${pageBox.y1}">`);
+    out.push(`<PrintSpace HPOS="0" VPOS="0" WIDTH="${pageBox.x1}" HEIGHT="${pageBox.y1}">`);
+
+    for (const block of layout) {
+      for (const paragraph of block.paragraphs) {
+        out.push(`<TextBlock ID="block_${++ids.block}" ${position(paragraph.bbox)}${langAttribute}>`);
+        for (const line of paragraph.lines) {
+          out.push(`<TextLine ID="line_${++ids.line}" ${position(line.bbox)}>`);
+          line.words.forEach((word, index) => {
+            if (index > 0) {
+              const previous = line.words[index - 1].bbox;
+              out.push(`<SP HPOS="${previous.x1}" VPOS="${previous.y0}" WIDTH="${Math.max(word.bbox.x0 - previous.x1, 0)}"/>`);
+            }
+            const wc = ((word.confidence || 0) / 100).toFixed(2);
+            out.push(`<String ID="string_${++ids.word}" ${position(word.bbox)} WC="${wc}" CONTENT="${this.escapeXml(word.text)}"/>`);
+          });
+          out.push('</TextLine>');
+        }
+        out.push('</TextBlock>');
+      }
+    }
+
+    out.push('</PrintSpace>');
+    out.push('</Page>');
+    out.push('</Layout>');
+    out.push('</alto>');
+
+    return out.join('\n');
+  }
+
+  /**
+   * Page box from the image size, or the extent of the layout when the size is unknown
+   * @private
+   */
+  resolvePageBox(layout, { width, height } = {}) {
+    if (width && height) {
+      return { x0: 0, y0: 0, x1: width, y1: height };
+    }
+
+    return {
+      x0: 0,
+      y0: 0,
+      x1: Math.max(0, ...layout.map(block => block.bbox.x1)),
+      y1: Math.max(0, ...layout.map(block => block.bbox.y1))
+    };
+  }
+
+  /**
+   * @private
+   */
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @private
+   */
+  roundConfidence(confidence) {
+    return typeof confidence === 'number' && !isNaN(confidence)
+      ? parseFloat(confidence.toFixed(2))
+      : null;
+  }
+
+  /**
+   * @private
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new OcrLayoutFormatter();
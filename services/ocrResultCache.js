@@ -0,0 +1,170 @@
+// services/ocrResultCache.js
+const crypto = require('crypto');
+const redis = require('redis');
+
+class OcrResultCache {
+  constructor() {
+    this.enabled = process.env.OCR_CACHE_ENABLED !== 'false';
+    this.maxEntries = parseInt(process.env.OCR_CACHE_MAX_ENTRIES, 10) || 200;
+    this.ttlSeconds = parseInt(process.env.OCR_CACHE_TTL_SECONDS, 10) || 24 * 60 * 60;
+    this.keyPrefix = 'ocr:result:';
+
+    // In-memory LRU: a Map iterates in insertion order, so the first key is the least recently used
+    this.entries = new Map();
+
+    // Shared Redis backend when REDIS_HOST is configured; the LRU still fronts it
+    this.redisClient = null;
+    this.redisConnecting = null;
+  }
+
+  /**
+   * Build a cache key from everything that changes the OCR output
+   * @param {Object} parts - { imageHash, languages, autoOrient, preprocessing, options }
+   * @returns {string}
+   */
+  buildKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Look up a cached OCR result
+   * @param {string} key - Key from buildKey
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      if (entry.expiresAt > Date.now()) {
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+      }
+      this.entries.delete(key);
+    }
+
+    const client = await this.getRedisClient();
+    if (!client) return null;
+
+    try {
+      const stored = await client.get(this.keyPrefix + key);
+      if (!stored) return null;
+
+      const value = JSON.parse(stored);
+      this.remember(key, value);
+      return value;
+    } catch (error) {
+      console.error('⚠️ OCR cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an OCR result
+   * @param {string} key - Key from buildKey
+   * @param {Object} value - JSON-serialisable OCR result
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    if (!this.enabled) return;
+
+    this.remember(key, value);
+
+    const client = await this.getRedisClient();
+    if (!client) return;
+
+    try {
+      await client.set(this.keyPrefix + key, JSON.stringify(value), { EX: this.ttlSeconds });
+    } catch (error) {
+      console.error('⚠️ OCR cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Drop every in-memory entry (Redis entries expire on their own)
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Close the Redis connection (graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    const client = this.redisClient;
+    this.redisClient = null;
+    this.redisConnecting = null;
+
+    if (client?.isOpen) {
+      await client.quit().catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  remember(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Connect to Redis on first use; returns null when Redis is not configured or unavailable
+   * @private
+   */
+  async getRedisClient() {
+    if (!process.env.REDIS_HOST) return null;
+    if (this.redisClient) {
+      if (this.redisClient.isReady) return this.redisClient;
+      if (this.redisClient.isOpen) return null; // Reconnecting
+      this.redisClient = null;
+    }
+    if (this.redisConnecting) return this.redisConnecting;
+
+    this.redisConnecting = (async () => {
+      const client = redis.createClient({
+        socket: {
+          host: process.env.REDIS_HOST,
+          port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+          connectTimeout: 2000,
+          // Give up after a few attempts; the in-memory cache keeps working without Redis
+          reconnectStrategy: retries => (retries >= 3 ? new Error('Redis unavailable') : retries * 500)
+        },
+        password: process.env.REDIS_PASSWORD || undefined,
+        // Fail fast instead of queueing commands while disconnected
+        disableOfflineQueue: true
+      });
+
+      client.on('error', error => console.error('⚠️ OCR cache Redis error:', error.message));
+
+      try {
+        await client.connect();
+        console.log('✅ OCR cache connected to Redis');
+        this.redisClient = client;
+        return client;
+      } catch (error) {
+        console.error('⚠️ OCR cache falling back to memory only:', error.message);
+        await client.disconnect().catch(() => {});
+        return null;
+      }
+    })();
+
+    const client = await this.redisConnecting;
+    if (!client) {
+      // Retry the connection on a later request rather than on every lookup
+      setTimeout(() => { this.redisConnecting = null; }, 60 * 1000).unref();
+    } else {
+      this.redisConnecting = null;
+    }
+    return client;
+  }
+}
+
+module.exports = new OcrResultCache();
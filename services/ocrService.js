@@ -1,14 +1,66 @@
-const Tesseract = require('tesseract.js');
-const Jimp = require('jimp');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const OcrRecord = require('../models/OcrRecord');
+const documentRasterizer = require('./documentRasterizer');
+const imagePreprocessor = require('./imagePreprocessor');
+const ocrLayoutFormatter = require('./ocrLayoutFormatter');
+const scriptAnalyzer = require('./scriptAnalyzer');
+const tesseractWorkerPool = require('./tesseractWorkerPool');
+const ocrResultCache = require('./ocrResultCache');
+const vocabularyService = require('./vocabularyService');
+const mathRegionDetector = require('./mathRegionDetector');
 
 class OCRService {
   constructor() {
     this.languages = 'hin+pan+eng'; // Hindi + Punjabi + English
     this.options = {
-      logger: m => console.log(m) // Optional debug logger
+      logger: m => console.log(m), // Optional debug logger
+      // Local traineddata: TESSERACT_LANG_PATH holds pre-installed files, cachePath holds downloaded ones
+      ...(process.env.TESSERACT_LANG_PATH && { langPath: process.env.TESSERACT_LANG_PATH }),
+      cachePath: process.env.TESSERACT_CACHE_PATH || '.'
     };
+
+    // Recognition runs on pooled, pre-initialized workers (one pool per language combination)
+    tesseractWorkerPool.configure(this.options);
+
+    this.maxImageSize = 5 * 1024 * 1024; // 5MB
+    this.maxDocumentSize = 20 * 1024 * 1024; // 20MB for multi-page PDF/TIFF scans
+    this.maxBatchPages = 20;
+    this.maxBatchSize = 40 * 1024 * 1024; // 40MB for all pages of one batch upload
+    this.supportedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    this.supportedDocumentTypes = ['application/pdf', 'image/tiff', 'image/tif'];
+
+    // Per-language OCR capabilities (keyed by the API language code)
+    this.languageProfiles = {
+      en: { name: 'English', nativeName: 'English', tesseractCode: 'eng', script: 'Latin', preprocessingRecommended: false },
+      hi: { name: 'Hindi', nativeName: 'हिंदी', tesseractCode: 'hin', script: 'Devanagari', preprocessingRecommended: true },
+      pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', tesseractCode: 'pan', script: 'Gurmukhi', preprocessingRecommended: true }
+    };
+
+    // Multi-language combinations useful for mixed-script notes
+    this.languageCombinations = ['hin+eng', 'pan+eng', 'hin+pan+eng'];
+
+    // Automatic orientation/deskew for phone photos (disable with OCR_AUTO_ORIENT=false)
+    this.autoOrient = process.env.OCR_AUTO_ORIENT !== 'false';
+    this.minSkewCorrection = 0.3; // Degrees; smaller angles are not worth resampling the image
+    // The upside-down check costs two recognitions, so it is skipped for pages within this many
+    // degrees of upright and when the projection profile is at least this many times sharper
+    // along the text lines than across them
+    this.uprightTolerance = 2;
+    this.confidentProfileRatio = 2;
+    this.orientationSampleWidth = 1000;
+
+    // Optional XML renderings of the layout, alongside the JSON hierarchy
+    this.outputFormats = ocrLayoutFormatter.outputFormats;
+
+    // Words below this Tesseract confidence (0-100) are flagged for review
+    this.lowConfidenceThreshold = parseFloat(process.env.OCR_LOW_CONFIDENCE_THRESHOLD) || 60;
+
+    // Handwritten formulas are reported as math regions and left out of proseText (disable with OCR_DETECT_MATH=false)
+    this.detectMath = process.env.OCR_DETECT_MATH !== 'false';
   }
 
   decodeBase64Image(base64String) {
@@ -19,36 +71,49 @@ class OCRService {
     return Buffer.from(matches[2], 'base64');
   }
 
+  /**
+   * Recognise text in a single image
+   * Results are cached by image hash, language and options, so re-uploads skip recognition.
+   * @param {Buffer|string} imageInput - Image buffer or base64 data URL
+   * @param {Object} options - { languages, autoOrient, outputFormat: 'hocr' | 'alto', confidenceThreshold,
+   *                             vocabulary (see vocabularyService.getOcrVocabulary), detectMath,
+   *                             ...Tesseract options }
+   * @returns {Promise<Object>} - Text, words, layout (blocks -> paragraphs -> lines -> words),
+   *                              lowConfidenceWords, vocabularyCorrections, mathRegions, proseText
+   *                              (text without formulas), optional hOCR/ALTO and `cached`
+   */
   async extractTextFromImage(imageInput, options = {}) {
     try {
-      const { languages = this.languages, ...tesseractOptions } = options;
+      const {
+        languages = this.languages,
+        autoOrient = this.autoOrient,
+        outputFormat,
+        confidenceThreshold = this.lowConfidenceThreshold,
+        vocabulary = null,
+        detectMath = this.detectMath,
+        ...tesseractOptions
+      } = options;
 
       const input =
         typeof imageInput === 'string' && imageInput.startsWith('data:')
           ? this.decodeBase64Image(imageInput)
           : imageInput;
 
-      console.log('🔍 Starting OCR...');
+      // Hash the image as uploaded so re-uploads match regardless of orientation correction
+      const imageHash = Buffer.isBuffer(input) ? this.hashImage(input) : null;
 
-      const result = await Tesseract.recognize(
-        input,
-        languages,
-        { ...this.options, ...tesseractOptions }
+      const result = await this.withCache(
+        imageHash && { imageHash, languages, autoOrient, vocabulary: vocabulary?.key || null, options: tesseractOptions },
+        () => this.recognizeImage(input, { languages, autoOrient, vocabulary, tesseractOptions })
       );
 
-      return {
-        success: true,
-        text: result.data.text.trim(),
-        confidence: isNaN(result.data.confidence)
-          ? null
-          : parseFloat(result.data.confidence.toFixed(2)),
-        words: result.data.words.map(word => ({
-          text: word.text,
-          confidence: word.confidence,
-          bbox: word.bbox
-        })),
-        language: this.detectPrimaryLanguage(result.data.text)
-      };
+      return this.renderOutputFormat(
+        this.flagLowConfidenceWords(
+          this.markMathRegions(this.applyVocabulary({ ...result, imageHash }, vocabulary), detectMath),
+          confidenceThreshold
+        ),
+        outputFormat
+      );
 
     } catch (error) {
       console.error('❌ OCR Error:', error);
@@ -56,71 +121,764 @@ class OCRService {
     }
   }
 
-  async extractTextWithPreprocessing(imageInput, preprocessOptions = {}) {
+  /**
+   * Orientation correction and recognition on the worker pool
+   * @private
+   */
+  async recognizeImage(imageBuffer, { languages, autoOrient, vocabulary = null, tesseractOptions }) {
+    let input = imageBuffer;
+
+    let orientation = null;
+    if (autoOrient && Buffer.isBuffer(input)) {
+      const corrected = await this.correctOrientation(input, languages);
+      input = corrected.buffer;
+      orientation = corrected.orientation;
+    }
+
+    console.log('🔍 Starting OCR...');
+
+    const result = await tesseractWorkerPool.recognize(input, languages, tesseractOptions, vocabulary);
+
+    const scriptAnalysis = scriptAnalyzer.analyze(result.data.text, { includeWords: false });
+
+    return {
+      success: true,
+      text: result.data.text.trim(),
+      confidence: isNaN(result.data.confidence)
+        ? null
+        : parseFloat(result.data.confidence.toFixed(2)),
+      words: scriptAnalyzer.labelWords(result.data.words.map(word => ({
+        text: word.text,
+        confidence: word.confidence,
+        bbox: word.bbox
+      }))),
+      layout: ocrLayoutFormatter.buildLayout(result.data.blocks),
+      pageSize: Buffer.isBuffer(input) ? await this.getPageSize(input) : null,
+      language: scriptAnalysis.primaryLanguage,
+      scriptAnalysis,
+      orientation
+    };
+  }
+
+  /**
+   * Return a cached result for keyParts, or compute and cache it
+   * Without keyParts (e.g. a non-buffer input) the result is computed uncached.
+   * @private
+   */
+  async withCache(keyParts, compute) {
+    if (!keyParts) {
+      return { ...(await compute()), cached: false };
+    }
+
+    const key = ocrResultCache.buildKey(keyParts);
+    const cached = await ocrResultCache.get(key);
+    if (cached) {
+      console.log('⚡ OCR cache hit');
+      return { ...cached, cached: true };
+    }
+
+    const result = await compute();
+    await ocrResultCache.set(key, result);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Snap near-miss words to vocabulary entries in `text`, `words` and `layout`
+   * Tesseract only uses user words as a hint, so this catches what it still misreads.
+   * Snapped words keep the recognised text in `originalText`.
+   * @private
+   */
+  applyVocabulary(result, vocabulary) {
+    if (!vocabulary?.words?.length) {
+      return { ...result, vocabularyCorrections: [] };
+    }
+
+    const dictionary = vocabularyService.buildDictionary(vocabulary.words);
+    const matches = new Map();
+    const snap = text => {
+      if (!matches.has(text)) matches.set(text, vocabularyService.snapWord(text, dictionary));
+      return matches.get(text);
+    };
+
+    const snapWords = words => words.map(word => {
+      const match = snap(word.text);
+      return match ? { ...word, text: match.text, originalText: word.text } : word;
+    });
+
+    // Rebuild a text from its words so spacing and line breaks survive
+    const snapText = (text, words) => this.applyWordCorrections(text, words, new Map(
+      words
+        .map((word, index) => [index, snap(word.text)])
+        .filter(([, match]) => match)
+        .map(([index, match]) => [index, { corrected: match.text }])
+    ));
+
+    const words = result.words || [];
+    const vocabularyCorrections = words
+      .map((word, index) => ({ index, original: word.text, match: snap(word.text) }))
+      .filter(entry => entry.match)
+      .map(({ index, original, match }) => ({ index, original, corrected: match.text, distance: match.distance }));
+
+    if (vocabularyCorrections.length === 0) {
+      return { ...result, vocabularyCorrections };
+    }
+
+    const layoutWords = node => node.paragraphs
+      ? node.paragraphs.flatMap(layoutWords)
+      : node.lines ? node.lines.flatMap(line => line.words) : node.words;
+
+    return {
+      ...result,
+      text: snapText(result.text, words),
+      words: snapWords(words),
+      layout: (result.layout || []).map(block => ({
+        ...block,
+        text: snapText(block.text, layoutWords(block)),
+        paragraphs: block.paragraphs.map(paragraph => ({
+          ...paragraph,
+          text: snapText(paragraph.text, layoutWords(paragraph)),
+          lines: paragraph.lines.map(line => ({
+            ...line,
+            text: snapText(line.text, line.words),
+            words: snapWords(line.words)
+          }))
+        }))
+      })),
+      vocabularyCorrections
+    };
+  }
+
+  /**
+   * Report likely formula regions and build `proseText` without them
+   * Tesseract reads handwritten formulas as noise, so grammar checks use proseText.
+   * @private
+   */
+  markMathRegions(result, detectMath) {
+    if (!detectMath) {
+      return { ...result, mathRegions: [], proseText: result.text };
+    }
+
+    const words = result.words || [];
+    const { regions, wordIndexes } = mathRegionDetector.detect(result.layout, words);
+
+    if (regions.length === 0) {
+      return { ...result, mathRegions: [], proseText: result.text };
+    }
+
+    const withoutMath = this.applyWordCorrections(
+      result.text,
+      words,
+      new Map([...wordIndexes].map(index => [index, { corrected: '' }]))
+    );
+
+    return {
+      ...result,
+      words: words.map((word, index) => (wordIndexes.has(index) ? { ...word, math: true } : word)),
+      mathRegions: regions,
+      proseText: withoutMath
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n')
+    };
+  }
+
+  /**
+   * Mark words below the confidence threshold in `words` and `layout`
+   * Applied after the cache lookup, so the threshold can differ per request.
+   * @private
+   */
+  flagLowConfidenceWords(result, threshold) {
+    const isLow = word =>
+      Boolean(word.text && word.text.trim()) && typeof word.confidence === 'number' && word.confidence < threshold;
+
+    const words = (result.words || []).map(word => ({ ...word, lowConfidence: isLow(word) }));
+
+    return {
+      ...result,
+      words,
+      layout: (result.layout || []).map(block => ({
+        ...block,
+        paragraphs: block.paragraphs.map(paragraph => ({
+          ...paragraph,
+          lines: paragraph.lines.map(line => ({
+            ...line,
+            words: line.words.map(word => ({ ...word, lowConfidence: isLow(word) }))
+          }))
+        }))
+      })),
+      confidenceThreshold: threshold,
+      lowConfidenceWords: words
+        .map((word, index) => ({ index, text: word.text, confidence: word.confidence, bbox: word.bbox }))
+        .filter((word, index) => words[index].lowConfidence)
+    };
+  }
+
+  /**
+   * Add the hOCR/ALTO rendering of the layout when requested
+   * @private
+   */
+  renderOutputFormat(result, outputFormat) {
+    if (!outputFormat) return result;
+
+    return {
+      ...result,
+      [outputFormat]: ocrLayoutFormatter.render(result.layout, outputFormat, {
+        ...result.pageSize,
+        language: this.getLanguageCode(result.language)
+      })
+    };
+  }
+
+  /**
+   * Pixel size of the image that was recognised (bboxes are relative to it)
+   * @private
+   */
+  async getPageSize(imageBuffer) {
     try {
+      const { width, height } = await sharp(imageBuffer).metadata();
+      return { width, height };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Map a detected language name (e.g. 'hindi') back to its API code
+   * @private
+   */
+  getLanguageCode(languageName) {
+    const entry = Object.entries(this.languageProfiles)
+      .find(([, profile]) => profile.name.toLowerCase() === languageName);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Detect and correct page orientation (0/90/180/270) and skew
+   * Skew and quarter turns come from a projection profile. That cannot tell an upside-down
+   * page from an upright one, so when the profile is ambiguous and the page is turned, both
+   * readings are recognised on a downscaled copy and the one with the higher confidence wins.
+   * @param {Buffer} imageBuffer - Source image
+   * @param {string} languages - Tesseract language string
+   * @returns {Promise<Object>} - { buffer, orientation }
+   */
+  async correctOrientation(imageBuffer, languages = this.languages) {
+    try {
+      const detected = await imagePreprocessor.detectOrientation(imageBuffer);
+
+      if (!detected.textDetected) {
+        return {
+          buffer: imageBuffer,
+          orientation: { rotation: 0, skewAngle: 0, appliedRotation: 0, corrected: false, textDetected: false }
+        };
+      }
+
+      const skewAngle = Math.abs(detected.skewAngle) < this.minSkewCorrection ? 0 : detected.skewAngle;
+      let rotation = detected.quarterTurn;
+
+      const checkUpsideDown = detected.confidence < this.confidentProfileRatio &&
+        Math.abs(rotation + skewAngle) > this.uprightTolerance;
+      if (checkUpsideDown && await this.isUpsideDown(imageBuffer, rotation + skewAngle, languages)) {
+        rotation += 180;
+      }
+
+      const appliedRotation = parseFloat((rotation + skewAngle).toFixed(1));
+      const buffer = appliedRotation === 0
+        ? imageBuffer
+        : await imagePreprocessor.rotateImage(imageBuffer, appliedRotation);
+
+      return {
+        buffer,
+        orientation: {
+          rotation, // Clockwise quarter turn applied: 0, 90, 180 or 270
+          skewAngle,
+          appliedRotation,
+          corrected: appliedRotation !== 0,
+          textDetected: true,
+          upsideDownChecked: checkUpsideDown,
+          method: 'projection-profile'
+        }
+      };
+    } catch (error) {
+      // Orientation correction is best effort; fall back to the image as uploaded
+      console.error('⚠️ Orientation detection failed:', error.message);
+      return { buffer: imageBuffer, orientation: null };
+    }
+  }
+
+  /**
+   * Compare recognition confidence of a page and its 180° rotation
+   * @private
+   */
+  async isUpsideDown(imageBuffer, rotation, languages) {
+    const readings = await Promise.all([rotation, rotation + 180].map(async angle => {
+      const sample = await imagePreprocessor.rotateImage(imageBuffer, angle, {
+        maxWidth: this.orientationSampleWidth
+      });
+      const result = await tesseractWorkerPool.recognize(sample, languages);
+      return result.data.confidence || 0;
+    }));
+
+    return readings[1] > readings[0];
+  }
+
+  /**
+   * Run a declarative preprocessing pipeline before OCR
+   * @param {Buffer|string} imageInput - Image buffer or base64 data URL
+   * @param {Array|string} pipeline - Steps applied in order (see imagePreprocessor)
+   * @param {Object} options - { includePreview, ...options passed to extractTextFromImage }
+   * @returns {Promise<Object>} - OCR result plus the preprocessing parameters actually used
+   */
+  async extractTextWithPreprocessing(imageInput, pipeline, options = {}) {
+    try {
+      const {
+        includePreview = false,
+        languages = this.languages,
+        autoOrient = this.autoOrient,
+        outputFormat,
+        confidenceThreshold = this.lowConfidenceThreshold,
+        vocabulary = null,
+        detectMath = this.detectMath,
+        ...tesseractOptions
+      } = options;
+
       const inputBuffer =
         typeof imageInput === 'string' && imageInput.startsWith('data:')
           ? this.decodeBase64Image(imageInput)
           : imageInput;
 
-      const image = await Jimp.read(inputBuffer);
-
-      if (preprocessOptions.rotate)
-        image.rotate(preprocessOptions.rotate.angle || 0);
-      if (preprocessOptions.brightness)
-        image.brightness(preprocessOptions.brightness.alpha || 0.1);
-      if (preprocessOptions.contrast)
-        image.contrast(preprocessOptions.contrast.alpha || 0.1);
+      const imageHash = this.hashImage(inputBuffer);
+      const preprocessing = imagePreprocessor.normalizePipeline(pipeline);
+      let processed = null;
 
-      const processedBuffer = await image.getBufferAsync(Jimp.MIME_PNG);
+      const result = await this.withCache(
+        { imageHash, languages, autoOrient, preprocessing, vocabulary: vocabulary?.key || null, options: tesseractOptions },
+        async () => {
+          processed = await imagePreprocessor.process(inputBuffer, pipeline);
+          const recognized = await this.recognizeImage(processed.buffer, {
+            languages,
+            autoOrient,
+            vocabulary,
+            tesseractOptions
+          });
 
-      const result = await Tesseract.recognize(
-        processedBuffer,
-        this.languages,
-        this.options
+          return {
+            ...recognized,
+            preprocessingApplied: processed.steps,
+            processedImage: { width: processed.width, height: processed.height }
+          };
+        }
       );
 
-      return {
-        success: true,
-        text: result.data.text.trim(),
-        confidence: isNaN(result.data.confidence)
-          ? null
-          : parseFloat(result.data.confidence.toFixed(2)),
-        preprocessingApplied: preprocessOptions
-      };
+      // Cache hits skip recognition, but the preview still needs the processed pixels
+      if (includePreview && !processed) {
+        processed = await imagePreprocessor.process(inputBuffer, pipeline);
+      }
+
+      const flagged = this.flagLowConfidenceWords(this.markMathRegions(this.applyVocabulary({
+        ...result,
+        imageHash,
+        processedImage: {
+          ...result.processedImage,
+          preview: includePreview ? await imagePreprocessor.createPreview(processed.buffer) : undefined
+        }
+      }, vocabulary), detectMath), confidenceThreshold);
+
+      return this.renderOutputFormat(flagged, outputFormat);
     } catch (error) {
       console.error('❌ Preprocessing OCR Error:', error);
       throw new Error(`OCR with preprocessing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Extract text from an ordered list of page images
+   * A failing page is reported in its slot instead of aborting the whole batch.
+   * @param {Array<Buffer|string>} imageInputs - Page images in reading order
+   * @param {Object} options - Options passed to extractTextFromImage
+   * @returns {Promise<Object>} - Per-page results and the merged document
+   */
   async extractTextFromMultipleImages(imageInputs, options = {}) {
-    try {
-      const results = [];
-      for (let i = 0; i < imageInputs.length; i++) {
+    const results = new Array(imageInputs.length);
+    let next = 0;
+
+    // Keep no more pages in flight than the pool has workers, so later pages do not time out
+    // waiting in its queue; each runner takes the next page and results keep the upload order
+    const runner = async () => {
+      while (next < imageInputs.length) {
+        const i = next++;
         console.log(`📄 Processing image ${i + 1}/${imageInputs.length}`);
-        const result = await this.extractTextFromImage(imageInputs[i], options);
-        results.push({ index: i, ...result });
+        try {
+          const result = await this.extractTextFromImage(imageInputs[i], options);
+          results[i] = { index: i, page: i + 1, ...result };
+        } catch (error) {
+          console.error(`❌ OCR failed for page ${i + 1}:`, error.message);
+          results[i] = { index: i, page: i + 1, success: false, error: error.message };
+        }
       }
+    };
+
+    const concurrency = Math.min(tesseractWorkerPool.getPoolSize(options.vocabulary), imageInputs.length);
+    await Promise.all(Array.from({ length: concurrency }, runner));
+
+    const failedPages = results.filter(r => !r.success).map(r => r.page);
+
+    return {
+      success: failedPages.length < results.length,
+      results,
+      mergedDocument: this.mergePages(results),
+      totalProcessed: imageInputs.length,
+      successfulPages: results.length - failedPages.length,
+      failedPages
+    };
+  }
+
+  /**
+   * Extract text from every page of a PDF or TIFF document
+   * Pages are rasterized locally and run through the regular OCR pipeline.
+   * @param {Buffer} documentBuffer - PDF or TIFF contents
+   * @param {string} mimeType - Document MIME type
+   * @param {Object} options - Options passed to extractTextFromImage
+   * @returns {Promise<Object>} - Page-indexed results (see extractTextFromMultipleImages)
+   */
+  async extractTextFromDocument(documentBuffer, mimeType, options = {}) {
+    const { documentType, pages } = await documentRasterizer.rasterize(documentBuffer, mimeType, {
+      maxPages: this.maxBatchPages
+    });
+
+    console.log(`📑 Rasterized ${documentType.toUpperCase()} into ${pages.length} page(s)`);
+
+    const batch = await this.extractTextFromMultipleImages(pages, options);
+
+    return {
+      ...batch,
+      documentType,
+      documentHash: this.hashImage(documentBuffer)
+    };
+  }
+
+  /**
+   * Start workers for the combinations in OCR_PRELOAD_LANGUAGES (comma-separated, e.g. 'hin+pan+eng')
+   * @returns {Promise<void>}
+   */
+  async warmUpWorkers() {
+    const combinations = (process.env.OCR_PRELOAD_LANGUAGES || '')
+      .split(',')
+      .map(languages => languages.trim())
+      .filter(Boolean);
+
+    await Promise.all(combinations.map(async languages => {
+      try {
+        await tesseractWorkerPool.warmUp(languages);
+        console.log(`✅ Tesseract workers ready for ${languages}`);
+      } catch (error) {
+        console.error(`❌ Failed to preload Tesseract workers for ${languages}:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Worker pool size, busy workers and queued jobs per language combination
+   * @returns {Object}
+   */
+  getWorkerPoolStats() {
+    return tesseractWorkerPool.getStats();
+  }
+
+  /**
+   * Terminate all OCR workers and close the result cache (graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await tesseractWorkerPool.shutdown();
+    await ocrResultCache.disconnect();
+  }
+
+  isDocument(mimeType) {
+    return documentRasterizer.isDocument(mimeType);
+  }
+
+  /**
+   * Merge page results into one document, separating pages with page-break markers
+   * @private
+   */
+  mergePages(results) {
+    const pageBreak = page => `--- Page ${page} ---`;
+
+    const text = results
+      .map(r => `${pageBreak(r.page)}\n${r.success ? r.text : '[Page could not be processed]'}`)
+      .join('\n\n');
+
+    const confidences = results.filter(r => r.success && r.confidence !== null).map(r => r.confidence);
+
+    return {
+      text,
+      pageCount: results.length,
+      averageConfidence: confidences.length
+        ? parseFloat((confidences.reduce((sum, c) => sum + c, 0) / confidences.length).toFixed(2))
+        : null
+    };
+  }
+
+  /**
+   * Report supported OCR languages and whether their traineddata is installed locally
+   * @returns {Promise<Object>} - Languages, combinations and upload limits
+   */
+  async getSupportedLanguages() {
+    const profiles = Object.entries(this.languageProfiles);
+
+    const installation = {};
+    await Promise.all(profiles.map(async ([, profile]) => {
+      installation[profile.tesseractCode] = await this.findTrainedData(profile.tesseractCode);
+    }));
+
+    const languages = profiles.map(([code, profile]) => ({
+      code,
+      name: profile.name,
+      nativeName: profile.nativeName,
+      tesseractCode: profile.tesseractCode,
+      script: profile.script,
+      installed: Boolean(installation[profile.tesseractCode]),
+      trainedDataSource: installation[profile.tesseractCode],
+      preprocessingRecommended: profile.preprocessingRecommended,
+      maxImageSize: this.maxImageSize
+    }));
+
+    const combinations = this.languageCombinations.map(combination => {
+      const parts = combination.split('+')
+        .map(tesseractCode => profiles.find(([, profile]) => profile.tesseractCode === tesseractCode));
 
       return {
-        success: true,
-        results,
-        totalProcessed: imageInputs.length
+        code: combination,
+        languages: parts.map(([code]) => code),
+        scripts: [...new Set(parts.map(([, profile]) => profile.script))],
+        installed: parts.every(([, profile]) => Boolean(installation[profile.tesseractCode])),
+        preprocessingRecommended: parts.some(([, profile]) => profile.preprocessingRecommended),
+        maxImageSize: this.maxImageSize
       };
+    });
+
+    return {
+      languages,
+      combinations,
+      defaultLanguage: 'en',
+      maxImageSize: this.maxImageSize,
+      supportedFormats: [...this.supportedMimeTypes, ...this.supportedDocumentTypes],
+      maxDocumentSize: this.maxDocumentSize,
+      maxPages: this.maxBatchPages,
+      // Missing traineddata is downloaded on first use unless a local langPath is configured
+      downloadOnDemand: !this.options.langPath
+    };
+  }
+
+  /**
+   * Locate a local traineddata file for a Tesseract language code
+   * Returns where it was found ('langPath' or 'cache') or null when it is not installed
+   * @private
+   */
+  async findTrainedData(tesseractCode) {
+    const candidates = [
+      { source: 'cache', file: path.resolve(this.options.cachePath, `${tesseractCode}.traineddata`) }
+    ];
+
+    if (this.options.langPath) {
+      candidates.unshift(
+        { source: 'langPath', file: path.resolve(this.options.langPath, `${tesseractCode}.traineddata`) },
+        { source: 'langPath', file: path.resolve(this.options.langPath, `${tesseractCode}.traineddata.gz`) }
+      );
+    }
+
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate.file);
+        return candidate.source;
+      } catch (error) {
+        // Not present at this location
+      }
+    }
+
+    return null;
+  }
+
+  hashImage(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Persist an OCR result for a user
+   * @param {string} userId - Owner of the record
+   * @param {Object} result - Result of extractTextFromImage
+   * @param {Object} meta - { requestedLanguage, mimeType, page }
+   * @returns {Promise<Object>} - Saved record
+   */
+  async saveOcrRecord(userId, result, { requestedLanguage, mimeType, page = null } = {}) {
+    try {
+      const record = await OcrRecord.create({
+        userId,
+        text: result.text,
+        confidence: result.confidence,
+        words: result.words || [],
+        requestedLanguage,
+        detectedLanguage: result.language || 'unknown',
+        imageHash: result.imageHash,
+        mimeType,
+        page,
+        confidenceThreshold: result.confidenceThreshold,
+        reviewStatus: result.lowConfidenceWords?.length ? 'pending' : 'not_required',
+        mathRegions: result.mathRegions || []
+      });
+
+      return record.toJSON();
+    } catch (error) {
+      console.error('❌ Save OCR record error:', error);
+      throw new Error(`Failed to save OCR record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get paginated OCR history of a user
+   * @param {string} userId - Owner of the records
+   * @param {Object} options - { page, limit, language }
+   * @returns {Promise<Object>} - Records (without word boxes) and pagination info
+   */
+  async getUserOcrHistory(userId, options = {}) {
+    try {
+      const page = Math.max(1, options.page || 1);
+      const limit = Math.min(100, Math.max(1, options.limit || 10));
+
+      const query = { userId };
+      if (options.language) query.requestedLanguage = options.language;
+
+      const [records, total] = await Promise.all([
+        OcrRecord.find(query)
+          .select('-words')
+          .sort({ timestamp: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        OcrRecord.countDocuments(query)
+      ]);
+
+      return {
+        records,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('❌ OCR history error:', error);
+      throw new Error(`Failed to get OCR history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single OCR record with its words and corrections
+   * @param {string} recordId - Record ObjectId
+   * @param {string} userId - Owner of the record
+   * @returns {Promise<Object|null>}
+   */
+  async getOcrRecord(recordId, userId) {
+    try {
+      if (!mongoose.isValidObjectId(recordId)) return null;
+
+      const record = await OcrRecord.findOne({ _id: recordId, userId });
+      return record ? record.toJSON() : null;
+    } catch (error) {
+      console.error('❌ Get OCR record error:', error);
+      throw new Error(`Failed to get OCR record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply human corrections to recognised words
+   * The raw `text` is kept; `correctedText` is rebuilt from it with every correction applied.
+   * A correction equal to the recognised word confirms it. The record is 'reviewed' once
+   * every low-confidence word has been corrected or confirmed.
+   * @param {string} recordId - Record ObjectId
+   * @param {string} userId - Owner of the record
+   * @param {Array<Object>} corrections - [{ wordIndex, text }]
+   * @returns {Promise<Object|null>} - Updated record, or null when not found
+   */
+  async applyCorrections(recordId, userId, corrections) {
+    if (!mongoose.isValidObjectId(recordId)) return null;
+
+    const record = await OcrRecord.findOne({ _id: recordId, userId });
+    if (!record) return null;
+
+    for (const { wordIndex, text } of corrections) {
+      if (!Number.isInteger(wordIndex) || wordIndex < 0 || wordIndex >= record.words.length) {
+        throw new Error(`Invalid correction: word index ${wordIndex} is out of range (0-${record.words.length - 1})`);
+      }
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new Error(`Invalid correction: text for word ${wordIndex} must be a non-empty string`);
+      }
+    }
+
+    try {
+      // Later corrections of the same word replace earlier ones
+      const byIndex = new Map(record.corrections.map(correction => [correction.wordIndex, correction]));
+      for (const { wordIndex, text } of corrections) {
+        byIndex.set(wordIndex, {
+          wordIndex,
+          original: record.words[wordIndex].text,
+          corrected: text.trim(),
+          correctedAt: new Date()
+        });
+      }
+
+      record.corrections = [...byIndex.values()].sort((a, b) => a.wordIndex - b.wordIndex);
+      record.correctedText = this.applyWordCorrections(record.text, record.words, byIndex);
+
+      const pendingWords = record.words.filter((word, index) => word.lowConfidence && !byIndex.has(index));
+      record.reviewStatus = pendingWords.length === 0 ? 'reviewed' : 'pending';
+
+      await record.save();
+      return record.toJSON();
     } catch (error) {
-      console.error('❌ Batch OCR Error:', error);
-      throw new Error(`Batch OCR processing failed: ${error.message}`);
+      console.error('❌ OCR correction error:', error);
+      throw new Error(`Failed to save OCR corrections: ${error.message}`);
     }
   }
 
-  detectPrimaryLanguage(text) {
-    const hindiPattern = /[\u0900-\u097F]/;
-    const punjabiPattern = /[\u0A00-\u0A7F]/;
+  /**
+   * Replace corrected words in the raw text, keeping the original spacing and line breaks
+   * Words are located in reading order, so repeated words map to the right occurrence.
+   * @private
+   */
+  applyWordCorrections(text, words, correctionsByIndex) {
+    let cursor = 0;
+    let output = '';
 
-    if (hindiPattern.test(text)) return 'hindi';
-    if (punjabiPattern.test(text)) return 'punjabi';
-    return 'english';
+    words.forEach((word, index) => {
+      const position = text.indexOf(word.text, cursor);
+      if (position === -1) return;
+
+      const correction = correctionsByIndex.get(index);
+      output += text.slice(cursor, position) + (correction ? correction.corrected : word.text);
+      cursor = position + word.text.length;
+    });
+
+    return output + text.slice(cursor);
+  }
+
+  /**
+   * Delete an OCR record owned by a user
+   * @param {string} recordId - Record ObjectId
+   * @param {string} userId - Owner of the record
+   * @returns {Promise<boolean>} - Whether a record was deleted
+   */
+  async deleteOcrRecord(recordId, userId) {
+    try {
+      if (!mongoose.isValidObjectId(recordId)) return false;
+
+      const deleted = await OcrRecord.findOneAndDelete({ _id: recordId, userId });
+      return Boolean(deleted);
+    } catch (error) {
+      console.error('❌ Delete OCR record error:', error);
+      throw new Error(`Failed to delete OCR record: ${error.message}`);
+    }
   }
 
   async validateImage(filePath) {
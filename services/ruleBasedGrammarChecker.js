@@ -0,0 +1,500 @@
+// services/ruleBasedGrammarChecker.js
+const textDiff = require('./textDiff');
+
+class RuleBasedGrammarChecker {
+  constructor() {
+    // Letters and marks of a word (matras, nukta, virama and anusvara are marks)
+    this.wordPattern = /[\p{L}\p{M}]+/gu;
+
+    this.languages = {
+      hindi: {
+        // Error categories these rules can find
+        categories: ['agreement', 'spelling', 'punctuation', 'grammar'],
+        danda: '।',
+        doubleDanda: '॥',
+        nukta: '़',
+        // Consonants that can carry a nukta (क़ ख़ ग़ ज़ ड़ ढ़ फ़ य़ and the rare ऩ ऱ ऴ)
+        nuktaBases: 'कखगजडढफयनरळ',
+        matraPattern: /[ा-ौॢॣ]/,
+        // A matra cannot start a word; the independent vowel is meant
+        independentVowels: {
+          'ा': 'आ', 'ि': 'इ', 'ी': 'ई', 'ु': 'उ', 'ू': 'ऊ', 'ृ': 'ऋ',
+          'े': 'ए', 'ै': 'ऐ', 'ो': 'ओ', 'ौ': 'औ', 'ॉ': 'ऑ'
+        },
+        letterPattern: /[ऀ-ॣ॰-ॿ]/,
+        // Possessives agree with the noun that follows: masculine -ा, feminine -ी, oblique/plural -े
+        possessives: ['का', 'मेरा', 'तेरा', 'हमारा', 'तुम्हारा', 'अपना', 'उसका', 'इसका', 'आपका', 'उनका', 'इनका', 'किसका', 'जिसका'],
+        possessiveEndings: { masculine: 'ा', feminine: 'ी', oblique: 'े' },
+        feminineNouns: [
+          'किताब', 'पुस्तक', 'बात', 'कलम', 'सड़क', 'दुकान', 'रात', 'सुबह', 'शाम', 'आँख', 'नाक', 'गाय', 'मेज़',
+          'आवाज़', 'सरकार', 'लड़की', 'कहानी', 'रोटी', 'नदी', 'कुर्सी', 'खिड़की', 'दोस्ती', 'ज़िंदगी', 'गाड़ी',
+          'भाषा', 'कक्षा', 'परीक्षा', 'हवा', 'बहन', 'माँ', 'चिड़िया'
+        ],
+        masculineNouns: [
+          'घर', 'पेड़', 'नाम', 'काम', 'दोस्त', 'स्कूल', 'शहर', 'देश', 'गाँव', 'बाज़ार', 'रंग', 'दिन', 'समय',
+          'सवाल', 'जवाब', 'फल', 'फूल', 'हाथ', 'पैर', 'पानी', 'भाई', 'पिता', 'लड़का', 'बेटा', 'राजा', 'कमरा',
+          'दरवाज़ा', 'खाना', 'गाना'
+        ],
+        // Postpositions after the noun put it in the oblique case (राम के घर में)
+        postpositions: ['में', 'से', 'पर', 'को', 'ने', 'तक'],
+        // Repeating these is a slip; content words are often reduplicated on purpose (धीरे धीरे)
+        slipWords: ['है', 'हैं', 'था', 'थी', 'थे', 'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'ने', 'और', 'भी', 'तो', 'ही', 'कि'],
+        misspellings: {
+          'आर्शीवाद': 'आशीर्वाद',
+          'उज्वल': 'उज्ज्वल',
+          'कवियत्री': 'कवयित्री',
+          'अध्यन': 'अध्ययन',
+          'सन्यासी': 'संन्यासी',
+          'अनाधिकार': 'अनधिकार',
+          'इतिहासिक': 'ऐतिहासिक',
+          'पुज्य': 'पूज्य',
+          'दुसरा': 'दूसरा',
+          'श्रीमति': 'श्रीमती',
+          'परिक्षा': 'परीक्षा',
+          'प्रतिक्षा': 'प्रतीक्षा',
+          'रचियता': 'रचयिता',
+          'आधीन': 'अधीन',
+          'सप्ताहिक': 'साप्ताहिक',
+          'स्त्रोत': 'स्रोत',
+          'ब्राम्हण': 'ब्राह्मण',
+          'चिन्ह': 'चिह्न',
+          'गृहणी': 'गृहिणी',
+          'क्योंकी': 'क्योंकि',
+          'लेकीन': 'लेकिन',
+          'किंतू': 'किंतु',
+          'हिंदि': 'हिंदी',
+          'कृप्या': 'कृपया',
+          'अतिथी': 'अतिथि'
+        },
+        abbreviations: ['डॉ', 'डा', 'श्री', 'प्रो', 'स्व'],
+        messages: {
+          feminine: (noun, replacement) => `"${noun}" स्त्रीलिंग है, इसलिए "${replacement}" का प्रयोग होगा।`,
+          masculine: (noun, replacement) => `"${noun}" पुल्लिंग है, इसलिए "${replacement}" का प्रयोग होगा।`,
+          duplicate: word => `"${word}" दो बार लिखा गया है।`,
+          danda: () => 'हिंदी में वाक्य के अंत में पूर्ण विराम (।) लगता है।',
+          missingDanda: () => 'वाक्य के अंत में पूर्ण विराम (।) नहीं है।',
+          matraStart: vowel => `मात्रा शब्द की शुरुआत में नहीं आ सकती; यहाँ स्वर "${vowel}" लिखें।`,
+          repeatedMatra: () => 'एक ही मात्रा दो बार लगी है।',
+          nuktaOrder: () => 'नुक़्ता मात्रा से पहले, अक्षर के नीचे लगता है।',
+          nuktaBase: () => 'इस अक्षर के नीचे नुक़्ता नहीं लगता।',
+          misspelling: replacement => `सही वर्तनी "${replacement}" है।`
+        }
+      },
+      punjabi: {
+        categories: ['agreement', 'spelling', 'punctuation', 'grammar'],
+        danda: '।',
+        doubleDanda: '॥',
+        nukta: '਼',
+        // ਸ਼ ਖ਼ ਗ਼ ਜ਼ ਫ਼ ਲ਼
+        nuktaBases: 'ਸਖਗਜਫਲ',
+        matraPattern: /[ਾ-ੌ]/,
+        independentVowels: {
+          'ਾ': 'ਆ', 'ਿ': 'ਇ', 'ੀ': 'ਈ', 'ੁ': 'ਉ', 'ੂ': 'ਊ',
+          'ੇ': 'ਏ', 'ੈ': 'ਐ', 'ੋ': 'ਓ', 'ੌ': 'ਔ'
+        },
+        letterPattern: /[਀-੥ੰ-੿]/,
+        possessives: ['ਦਾ', 'ਮੇਰਾ', 'ਤੇਰਾ', 'ਸਾਡਾ', 'ਤੁਹਾਡਾ', 'ਆਪਣਾ', 'ਉਸਦਾ', 'ਇਸਦਾ'],
+        // Feminine plural takes -ੀਆਂ (ਮੇਰੀਆਂ ਕਿਤਾਬਾਂ)
+        possessiveEndings: { masculine: 'ਾ', feminine: 'ੀ', oblique: 'ੇ', femininePlural: 'ੀਆਂ' },
+        feminineNouns: [
+          'ਕਿਤਾਬ', 'ਗੱਲ', 'ਕਲਮ', 'ਸੜਕ', 'ਦੁਕਾਨ', 'ਰਾਤ', 'ਸਵੇਰ', 'ਅੱਖ', 'ਜਮਾਤ', 'ਆਵਾਜ਼', 'ਸਰਕਾਰ', 'ਭੈਣ',
+          'ਕੁੜੀ', 'ਕਹਾਣੀ', 'ਰੋਟੀ', 'ਨਦੀ', 'ਕੁਰਸੀ', 'ਖਿੜਕੀ', 'ਜ਼ਿੰਦਗੀ', 'ਗੱਡੀ', 'ਭਾਸ਼ਾ', 'ਹਵਾ', 'ਮਾਂ', 'ਗਾਂ'
+        ],
+        masculineNouns: [
+          'ਘਰ', 'ਰੁੱਖ', 'ਨਾਮ', 'ਕੰਮ', 'ਦੋਸਤ', 'ਸਕੂਲ', 'ਸ਼ਹਿਰ', 'ਦੇਸ਼', 'ਪਿੰਡ', 'ਬਾਜ਼ਾਰ', 'ਰੰਗ', 'ਦਿਨ', 'ਸਵਾਲ',
+          'ਜਵਾਬ', 'ਫਲ', 'ਫੁੱਲ', 'ਹੱਥ', 'ਪੈਰ', 'ਪਾਣੀ', 'ਭਰਾ', 'ਪਿਤਾ', 'ਪੁੱਤ', 'ਮੁੰਡਾ', 'ਰਾਜਾ', 'ਕਮਰਾ',
+          'ਦਰਵਾਜ਼ਾ', 'ਖਾਣਾ', 'ਗੀਤ', 'ਸਮਾਂ'
+        ],
+        postpositions: ['ਵਿੱਚ', 'ਤੋਂ', 'ਨੂੰ', 'ਨੇ', 'ਤੱਕ', 'ਉੱਤੇ', 'ਤੇ'],
+        slipWords: ['ਹੈ', 'ਹਨ', 'ਸੀ', 'ਦਾ', 'ਦੀ', 'ਦੇ', 'ਨੂੰ', 'ਵਿੱਚ', 'ਤੋਂ', 'ਨੇ', 'ਅਤੇ', 'ਵੀ', 'ਤਾਂ', 'ਹੀ', 'ਕਿ'],
+        misspellings: {
+          'ਖੁਸੀ': 'ਖੁਸ਼ੀ',
+          'ਸਹਿਰ': 'ਸ਼ਹਿਰ',
+          'ਜਿੰਦਗੀ': 'ਜ਼ਿੰਦਗੀ',
+          'ਕਿਉਂਕੀ': 'ਕਿਉਂਕਿ',
+          'ਵਿਦਿਆਰਥਿ': 'ਵਿਦਿਆਰਥੀ',
+          'ਸਾਬਾਸ': 'ਸ਼ਾਬਾਸ਼',
+          'ਸੁਰੂ': 'ਸ਼ੁਰੂ',
+          'ਹਮੇਸਾ': 'ਹਮੇਸ਼ਾ'
+        },
+        abbreviations: ['ਸ੍ਰੀ', 'ਪ੍ਰੋ', 'ਡਾ'],
+        messages: {
+          feminine: (noun, replacement) => `"${noun}" ਇਸਤਰੀ ਲਿੰਗ ਹੈ, ਇਸ ਲਈ "${replacement}" ਵਰਤੋ।`,
+          masculine: (noun, replacement) => `"${noun}" ਪੁਲਿੰਗ ਹੈ, ਇਸ ਲਈ "${replacement}" ਵਰਤੋ।`,
+          duplicate: word => `"${word}" ਦੋ ਵਾਰ ਲਿਖਿਆ ਗਿਆ ਹੈ।`,
+          danda: () => 'ਪੰਜਾਬੀ ਵਿੱਚ ਵਾਕ ਦੇ ਅੰਤ ਵਿੱਚ ਡੰਡੀ (।) ਲੱਗਦੀ ਹੈ।',
+          missingDanda: () => 'ਵਾਕ ਦੇ ਅੰਤ ਵਿੱਚ ਡੰਡੀ (।) ਨਹੀਂ ਹੈ।',
+          matraStart: vowel => `ਲਗ ਸ਼ਬਦ ਦੇ ਸ਼ੁਰੂ ਵਿੱਚ ਨਹੀਂ ਆ ਸਕਦੀ; ਇੱਥੇ "${vowel}" ਲਿਖੋ।`,
+          repeatedMatra: () => 'ਇੱਕੋ ਲਗ ਦੋ ਵਾਰ ਲੱਗੀ ਹੈ।',
+          nuktaOrder: () => 'ਪੈਰ ਬਿੰਦੀ ਲਗ ਤੋਂ ਪਹਿਲਾਂ, ਅੱਖਰ ਦੇ ਪੈਰ ਵਿੱਚ ਲੱਗਦੀ ਹੈ।',
+          nuktaBase: () => 'ਇਸ ਅੱਖਰ ਦੇ ਪੈਰ ਵਿੱਚ ਬਿੰਦੀ ਨਹੀਂ ਲੱਗਦੀ।',
+          misspelling: replacement => `ਸਹੀ ਸ਼ਬਦ-ਜੋੜ "${replacement}" ਹੈ।`
+        }
+      },
+      english: {
+        // Only repeated words are checked in English ("had had" and "that that" can be correct)
+        categories: ['grammar'],
+        repeatableWords: ['had', 'that'],
+        messages: {
+          duplicate: word => `"${word}" is repeated.`
+        }
+      }
+    };
+
+    // Sentences shorter than this (e.g. headings) are not required to end with a danda
+    this.minSentenceWords = 3;
+
+    for (const rules of Object.values(this.languages)) {
+      if (rules.possessives) rules.possessiveForms = this.buildPossessiveForms(rules);
+      if (rules.feminineNouns) rules.nounGenders = this.buildNounGenders(rules);
+      if (rules.misspellings) {
+        rules.misspellings = Object.fromEntries(
+          Object.entries(rules.misspellings).map(([wrong, right]) => [wrong.normalize('NFC'), right])
+        );
+      }
+    }
+  }
+
+  /**
+   * Check a text with deterministic rules for common Hindi and Punjabi mistakes
+   * Covers possessive agreement (का/की/के, ਦਾ/ਦੀ/ਦੇ), matra and nukta misspellings, the danda
+   * and repeated words. Offsets are string indexes into `text`, like the model's errors.
+   * @param {string} text - Text to check
+   * @param {string} language - hindi/punjabi/english
+   * @param {Array<string>} categories - Error categories to report (all by default)
+   * @returns {Object} - { corrected, errors: [{ category, original, start, end, replacement, explanation, rule, source }] }
+   */
+  check(text = '', language = 'english', categories = null) {
+    const rules = this.languages[language];
+    if (!rules) return { corrected: text, errors: [] };
+
+    const words = [...text.matchAll(this.wordPattern)].map(match => ({
+      text: match[0],
+      key: match[0].normalize('NFC'),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+
+    const found = [
+      ...this.checkAgreement(text, words, rules),
+      ...this.checkSpelling(words, rules),
+      ...this.checkDanda(text, words, rules),
+      ...this.checkRepeatedWords(text, words, rules, language)
+    ].filter(error => !categories || categories.includes(error.category));
+
+    // Keep the first finding where two rules flag overlapping spans
+    const errors = [];
+    for (const error of found.sort((a, b) => a.start - b.start)) {
+      if (!errors.some(kept => this.overlaps(kept, error))) {
+        errors.push({ ...error, source: 'rules' });
+      }
+    }
+
+    return { corrected: textDiff.applyReplacements(text, errors), errors };
+  }
+
+  /**
+   * Error categories the rules of a language can find
+   * A check of other categories finds nothing, so a result limited to these should say so.
+   * @param {string} language - hindi/punjabi/english
+   * @returns {Array<string>}
+   */
+  coveredCategories(language) {
+    return this.languages[language]?.categories || [];
+  }
+
+  /**
+   * Whether two error spans share any characters
+   * @param {Object} a - { start, end }
+   * @param {Object} b - { start, end }
+   * @returns {boolean}
+   */
+  overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * Possessive postpositions and pronouns that disagree with the gender of the next noun
+   * @private
+   */
+  checkAgreement(text, words, rules) {
+    if (!rules.possessiveForms) return [];
+
+    const errors = [];
+
+    words.forEach((word, index) => {
+      const form = rules.possessiveForms.get(word.key);
+      const noun = words[index + 1];
+      if (!form || !noun || !this.isSeparatedBySpace(text, word, noun)) return;
+
+      // A hyphen makes the noun part of a compound (माँ-बाप), whose gender may differ
+      if (text[noun.end] === '-') return;
+
+      const nounGender = rules.nounGenders.get(noun.key);
+      if (!nounGender) return;
+
+      let expected;
+      if (nounGender.gender === 'feminine') {
+        expected = nounGender.plural && rules.possessiveEndings.femininePlural ? 'femininePlural' : 'feminine';
+      } else if (form.ending === 'feminine' || form.ending === 'femininePlural') {
+        const next = words[index + 2];
+        const oblique = nounGender.plural || (next && rules.postpositions.includes(next.key) && this.isSeparatedBySpace(text, noun, next));
+        expected = oblique ? 'oblique' : 'masculine';
+      } else {
+        // Masculine nouns take -ा or -े depending on case and number, which the rules cannot tell apart
+        return;
+      }
+
+      if (form.ending === expected) return;
+
+      const replacement = form.stem + rules.possessiveEndings[expected];
+      errors.push({
+        category: 'agreement',
+        original: word.text,
+        start: word.start,
+        end: word.end,
+        replacement,
+        explanation: rules.messages[nounGender.gender](noun.text, replacement),
+        rule: 'possessive_agreement'
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Matra and nukta placement, then known misspellings
+   * @private
+   */
+  checkSpelling(words, rules) {
+    if (!rules.matraPattern) return [];
+
+    const errors = [];
+
+    for (const word of words) {
+      const explanations = [];
+      let fixed = word.text;
+
+      const firstVowel = rules.independentVowels[fixed[0]];
+      if (firstVowel) {
+        fixed = firstVowel + fixed.slice(1);
+        explanations.push(rules.messages.matraStart(firstVowel));
+      }
+
+      const dedupedMatras = fixed.replace(new RegExp(`(${rules.matraPattern.source})\\1+`, 'gu'), '$1');
+      if (dedupedMatras !== fixed) {
+        fixed = dedupedMatras;
+        explanations.push(rules.messages.repeatedMatra());
+      }
+
+      const nukta = this.fixNukta(fixed, rules);
+      if (nukta.fixed !== fixed) {
+        fixed = nukta.fixed;
+        explanations.push(rules.messages[nukta.reason]());
+      }
+
+      const known = rules.misspellings[fixed.normalize('NFC')];
+      if (known) {
+        fixed = known;
+        explanations.push(rules.messages.misspelling(known));
+      }
+
+      if (fixed !== word.text) {
+        errors.push({
+          category: 'spelling',
+          original: word.text,
+          start: word.start,
+          end: word.end,
+          replacement: fixed,
+          explanation: explanations.join(' '),
+          rule: 'spelling'
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Move a nukta typed after a matra back onto its consonant, and drop it from letters that cannot carry one
+   * @private
+   */
+  fixNukta(word, rules) {
+    const chars = [...word.normalize('NFD')];
+    let reason = null;
+
+    for (let i = 0; i < chars.length; i++) {
+      if (chars[i] !== rules.nukta) continue;
+
+      const previous = chars[i - 1];
+      if (previous && rules.nuktaBases.includes(previous)) continue;
+
+      if (previous && rules.matraPattern.test(previous) && rules.nuktaBases.includes(chars[i - 2])) {
+        [chars[i - 1], chars[i]] = [chars[i], chars[i - 1]];
+        reason = reason || 'nuktaOrder';
+      } else {
+        chars.splice(i--, 1);
+        reason = reason || 'nuktaBase';
+      }
+    }
+
+    return reason ? { fixed: chars.join('').normalize('NFC'), reason } : { fixed: word, reason };
+  }
+
+  /**
+   * Full stops or pipes used instead of the danda, and a missing danda at the end of the text
+   * @private
+   */
+  checkDanda(text, words, rules) {
+    if (!rules.danda) return [];
+
+    const errors = [];
+    const letter = rules.letterPattern.source;
+
+    // "|" or "||" typed for । or ॥ after Devanagari/Gurmukhi text
+    for (const match of text.matchAll(new RegExp(`(?<=${letter}\\s*)\\|{1,2}(?!\\|)`, 'gu'))) {
+      errors.push({
+        category: 'punctuation',
+        original: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        replacement: match[0].length === 2 ? rules.doubleDanda : rules.danda,
+        explanation: rules.messages.danda(),
+        rule: 'danda'
+      });
+    }
+
+    // A full stop closing a Hindi/Punjabi sentence (not an abbreviation such as डॉ. or an ellipsis)
+    for (const match of text.matchAll(new RegExp(`(?<=${letter})\\.(?=\\s|$)`, 'gu'))) {
+      const previous = words.filter(word => word.end <= match.index).pop();
+      if (previous && rules.abbreviations.includes(previous.key)) continue;
+
+      errors.push({
+        category: 'punctuation',
+        original: '.',
+        start: match.index,
+        end: match.index + 1,
+        replacement: rules.danda,
+        explanation: rules.messages.danda(),
+        rule: 'danda'
+      });
+    }
+
+    // The last sentence ends without any punctuation
+    const last = words[words.length - 1];
+    if (last && !text.slice(last.end).trim() && rules.letterPattern.test(last.text)) {
+      const sentenceStart = Math.max(...['।', '॥', '?', '!', '.', '|'].map(mark => text.lastIndexOf(mark, last.start)));
+      const sentenceWords = words.filter(word => word.start > sentenceStart).length;
+
+      if (sentenceWords >= this.minSentenceWords) {
+        errors.push({
+          category: 'punctuation',
+          original: last.text,
+          start: last.start,
+          end: last.end,
+          replacement: last.text + rules.danda,
+          explanation: rules.messages.missingDanda(),
+          rule: 'missing_danda'
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * The same word typed twice in a row
+   * @private
+   */
+  checkRepeatedWords(text, words, rules, language) {
+    const errors = [];
+
+    for (let i = 1; i < words.length; i++) {
+      const previous = words[i - 1];
+      const word = words[i];
+      const key = language === 'english' ? word.key.toLowerCase() : word.key;
+      const previousKey = language === 'english' ? previous.key.toLowerCase() : previous.key;
+
+      if (key !== previousKey || !this.isSeparatedBySpace(text, previous, word)) continue;
+
+      // Hindi and Punjabi reduplicate content words on purpose, so only function words are flagged
+      const slip = rules.slipWords
+        ? rules.slipWords.includes(key)
+        : !rules.repeatableWords.includes(key);
+      if (!slip) continue;
+
+      errors.push({
+        category: 'grammar',
+        original: text.slice(previous.start, word.end),
+        start: previous.start,
+        end: word.end,
+        replacement: previous.text,
+        explanation: rules.messages.duplicate(word.text),
+        rule: 'repeated_word'
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  isSeparatedBySpace(text, first, second) {
+    return /^\s+$/.test(text.slice(first.end, second.start));
+  }
+
+
+  /**
+   * Every form of each possessive, keyed by the NFC word
+   * @private
+   */
+  buildPossessiveForms(rules) {
+    const forms = new Map();
+    const masculineEnding = rules.possessiveEndings.masculine;
+
+    for (const possessive of rules.possessives) {
+      const stem = possessive.slice(0, -masculineEnding.length);
+      for (const [ending, suffix] of Object.entries(rules.possessiveEndings)) {
+        forms.set((stem + suffix).normalize('NFC'), { stem, ending });
+      }
+    }
+
+    return forms;
+  }
+
+  /**
+   * Noun genders, including regular plurals of the feminine nouns
+   * @private
+   */
+  buildNounGenders(rules) {
+    const genders = new Map();
+    const hindi = rules === this.languages.hindi;
+
+    for (const noun of rules.masculineNouns) {
+      genders.set(noun.normalize('NFC'), { gender: 'masculine', plural: false });
+    }
+
+    for (const noun of rules.feminineNouns) {
+      genders.set(noun.normalize('NFC'), { gender: 'feminine', plural: false });
+
+      let plural = null;
+      if (hindi) {
+        if (noun.endsWith('िया')) plural = `${noun}ँ`;
+        else if (noun.endsWith('ी')) plural = `${noun.slice(0, -1)}ियाँ`;
+        else if (noun.endsWith('ा')) plural = `${noun}एँ`;
+        else if (!/[\p{M}]$/u.test(noun)) plural = `${noun}ें`;
+      } else {
+        if (noun.endsWith('ੀ')) plural = `${noun}ਆਂ`;
+        else if (noun.endsWith('ਾ')) plural = `${noun}ਵਾਂ`;
+        else if (!/[\p{M}]$/u.test(noun)) plural = `${noun}ਾਂ`;
+      }
+
+      if (plural) genders.set(plural.normalize('NFC'), { gender: 'feminine', plural: true });
+    }
+
+    return genders;
+  }
+}
+
+module.exports = new RuleBasedGrammarChecker();
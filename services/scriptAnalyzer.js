@@ -0,0 +1,161 @@
+// services/scriptAnalyzer.js
+
+class ScriptAnalyzer {
+  constructor() {
+    // Unicode ranges per script; the language is the one our platform teaches in that script
+    this.scripts = {
+      devanagari: { language: 'hindi', pattern: /[\u0900-\u0963\u0966-\u097F\uA8E0-\uA8FF]/ },
+      gurmukhi: { language: 'punjabi', pattern: /[\u0A00-\u0A7F]/ },
+      latin: { language: 'english', pattern: /[A-Za-z\u00C0-\u024F\u1E00-\u1EFF]/ }
+    };
+
+    // Any other letter (e.g. Arabic, Cyrillic) is labelled 'other'; digits, punctuation and
+    // the danda (।, ॥), which Gurmukhi shares with Devanagari, are script-neutral ('common')
+    this.letterPattern = /\p{L}|\p{M}/u;
+  }
+
+  /**
+   * Label a single word with the script most of its letters belong to
+   * @param {string} word - Word or token
+   * @returns {string} - 'devanagari' | 'gurmukhi' | 'latin' | 'other' | 'common'
+   */
+  detectWordScript(word) {
+    const counts = {};
+    let otherLetters = 0;
+
+    for (const char of word || '') {
+      const script = Object.keys(this.scripts).find(name => this.scripts[name].pattern.test(char));
+      if (script) {
+        counts[script] = (counts[script] || 0) + 1;
+      } else if (this.letterPattern.test(char)) {
+        otherLetters++;
+      }
+    }
+
+    const [dominant] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (dominant && dominant[1] >= otherLetters) return dominant[0];
+    return otherLetters > 0 ? 'other' : 'common';
+  }
+
+  /**
+   * Map a script label to the language it is used for here
+   * @param {string} script - Script label from detectWordScript
+   * @returns {string} - 'hindi' | 'punjabi' | 'english' | 'unknown'
+   */
+  getScriptLanguage(script) {
+    return this.scripts[script]?.language || 'unknown';
+  }
+
+  /**
+   * Per-word script analysis of a text
+   * The primary language is the one with the most words rather than the first script
+   * seen, so a Punjabi page quoting one Hindi word is still labelled Punjabi.
+   * @param {string} text - Text to analyse
+   * @param {Object} options - { includeWords: false to omit the per-word labels }
+   * @returns {Object} - { primaryLanguage, primaryScript, isMixed, scripts, segments, words }
+   */
+  analyze(text, options = {}) {
+    const { includeWords = true } = options;
+
+    const words = [...(text || '').matchAll(/\S+/g)].map(match => {
+      const script = this.detectWordScript(match[0]);
+      return {
+        text: match[0],
+        script,
+        language: this.getScriptLanguage(script),
+        start: match.index,
+        end: match.index + match[0].length
+      };
+    });
+
+    const scriptWords = words.filter(word => word.script !== 'common');
+
+    // Word counts per script, in order of first appearance (used to break ties)
+    const counts = new Map();
+    for (const word of scriptWords) {
+      counts.set(word.script, (counts.get(word.script) || 0) + 1);
+    }
+
+    const scripts = [...counts.entries()]
+      .map(([script, wordCount]) => ({
+        script,
+        language: this.getScriptLanguage(script),
+        wordCount,
+        percentage: parseFloat(((wordCount / scriptWords.length) * 100).toFixed(1))
+      }))
+      .sort((a, b) => b.wordCount - a.wordCount);
+
+    const primary = scripts[0];
+
+    return {
+      primaryLanguage: primary ? primary.language : 'unknown',
+      primaryScript: primary ? primary.script : null,
+      isMixed: scripts.length > 1,
+      scripts,
+      segments: this.buildSegments(text, words),
+      ...(includeWords && { words })
+    };
+  }
+
+  /**
+   * Primary language of a text ('unknown' when it contains no letters)
+   * @param {string} text - Text to analyse
+   * @returns {string} - 'hindi' | 'punjabi' | 'english' | 'unknown'
+   */
+  detectLanguage(text) {
+    return this.analyze(text, { includeWords: false }).primaryLanguage;
+  }
+
+  /**
+   * Add a script label to each item of a word list (e.g. OCR or speech words)
+   * @param {Array<Object>} words - Word objects
+   * @param {string} textKey - Property holding the word text
+   * @returns {Array<Object>} - Words with a `script` property
+   */
+  labelWords(words, textKey = 'text') {
+    return (words || []).map(word => ({
+      ...word,
+      script: this.detectWordScript(word[textKey])
+    }));
+  }
+
+  /**
+   * Group consecutive words of the same script into segments with character offsets
+   * Script-neutral tokens (numbers, punctuation) join the segment they appear in.
+   * @private
+   */
+  buildSegments(text, words) {
+    const segments = [];
+    let current = null;
+
+    for (const word of words) {
+      if (current && (word.script === 'common' || word.script === current.script)) {
+        current.end = word.end;
+        current.wordCount++;
+        continue;
+      }
+
+      if (current && current.script === 'common') {
+        // Leading neutral tokens take the script of the first real word
+        current.script = word.script;
+        current.end = word.end;
+        current.wordCount++;
+        continue;
+      }
+
+      current = { script: word.script, start: word.start, end: word.end, wordCount: 1 };
+      segments.push(current);
+    }
+
+    return segments.map(segment => ({
+      script: segment.script,
+      language: this.getScriptLanguage(segment.script),
+      text: text.slice(segment.start, segment.end),
+      start: segment.start,
+      end: segment.end,
+      wordCount: segment.wordCount
+    }));
+  }
+}
+
+module.exports = new ScriptAnalyzer();
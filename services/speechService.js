@@ -1,6 +1,9 @@
 // services/speechService.js
 const speech = require('@google-cloud/speech');
 const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const UserData = require('../models/UserData');
+const scriptAnalyzer = require('./scriptAnalyzer');
 
 class SpeechService {
   constructor() {
@@ -75,23 +78,23 @@ class SpeechService {
         .map(alternative => ({
           transcript: alternative.transcript,
           confidence: alternative.confidence ?? null,
-          words: alternative.words?.map(word => ({
+          words: scriptAnalyzer.labelWords(alternative.words?.map(word => ({
             word: word.word,
             startTime: (word.startTime?.seconds || 0) + (word.startTime?.nanos || 0) / 1e9,
             endTime: (word.endTime?.seconds || 0) + (word.endTime?.nanos || 0) / 1e9,
             confidence: word.confidence
-          })) || []
+          })), 'word')
         }));
 
-      const detectedLanguage = this.detectLanguageFromTranscript(
-        transcription.map(t => t.transcript).join(' ')
-      );
+      const fullText = transcription.map(t => t.transcript).join(' ');
+      const scriptAnalysis = scriptAnalyzer.analyze(fullText, { includeWords: false });
 
       return {
         success: true,
         transcription: transcription,
-        fullText: transcription.map(t => t.transcript).join(' '),
-        detectedLanguage: detectedLanguage,
+        fullText,
+        detectedLanguage: scriptAnalysis.primaryLanguage,
+        scriptAnalysis,
         totalDuration: this.calculateTotalDuration(transcription),
         wordCount: transcription.reduce((count, t) => count + t.words.length, 0)
       };
@@ -136,18 +139,23 @@ class SpeechService {
         .map(alternative => ({
           transcript: alternative.transcript,
           confidence: alternative.confidence ?? null,
-          words: alternative.words?.map(word => ({
+          words: scriptAnalyzer.labelWords(alternative.words?.map(word => ({
             word: word.word,
             startTime: (word.startTime?.seconds || 0) + (word.startTime?.nanos || 0) / 1e9,
             endTime: (word.endTime?.seconds || 0) + (word.endTime?.nanos || 0) / 1e9,
             confidence: word.confidence
-          })) || []
+          })), 'word')
         }));
 
+      const fullText = transcription.map(t => t.transcript).join(' ');
+      const scriptAnalysis = scriptAnalyzer.analyze(fullText, { includeWords: false });
+
       return {
         success: true,
         transcription: transcription,
-        fullText: transcription.map(t => t.transcript).join(' '),
+        fullText,
+        detectedLanguage: scriptAnalysis.primaryLanguage,
+        scriptAnalysis,
         operationId: operation.name,
         processingTime: 'Long-running operation completed'
       };
@@ -229,21 +237,6 @@ class SpeechService {
     };
   }
 
-  /**
-   * Detect language from transcript content
-   * @param {string} transcript - Transcribed text
-   * @returns {string} - Detected language
-   */
-  detectLanguageFromTranscript(transcript) {
-    // Simple language detection based on character patterns
-    const hindiPattern = /[\u0900-\u097F]/;
-    const punjabiPattern = /[\u0A00-\u0A7F]/;
-
-    if (hindiPattern.test(transcript)) return 'hindi';
-    if (punjabiPattern.test(transcript)) return 'punjabi';
-    return 'english';
-  }
-
   /**
    * Calculate total duration from word timestamps
    * @param {Array} transcription - Transcription with word timestamps
@@ -292,6 +285,24 @@ class SpeechService {
   async saveTranscriptToFile(transcriptObj, outputPath) {
     await fs.writeFile(outputPath, JSON.stringify(transcriptObj, null, 2));
   }
+
+  /**
+   * Delete a pronunciation record (UserData entry) belonging to a user
+   * @param {string} recordId - Record ObjectId
+   * @param {string} userId - Owner of the record
+   * @returns {Promise<boolean>} - Whether a record was deleted
+   */
+  async deletePronunciationRecord(recordId, userId) {
+    try {
+      if (!mongoose.isValidObjectId(recordId)) return false;
+
+      const deleted = await UserData.findOneAndDelete({ _id: recordId, userId });
+      return Boolean(deleted);
+    } catch (error) {
+      console.error('Delete pronunciation record error:', error);
+      throw new Error(`Failed to delete pronunciation record: ${error.message}`);
+    }
+  }
 }
 
 
@@ -0,0 +1,323 @@
+// services/tesseractWorkerPool.js
+const Tesseract = require('tesseract.js');
+
+class TesseractWorkerPool {
+  constructor() {
+    // Workers kept per language combination (e.g. 'hin+pan+eng'); each holds its traineddata in memory
+    this.size = parseInt(process.env.OCR_WORKER_POOL_SIZE, 10) || 2;
+    this.maxQueueLength = parseInt(process.env.OCR_WORKER_QUEUE_LIMIT, 10) || 50;
+    this.jobTimeout = parseInt(process.env.OCR_JOB_TIMEOUT_MS, 10) || 60 * 1000;
+    this.queueTimeout = parseInt(process.env.OCR_QUEUE_TIMEOUT_MS, 10) || 30 * 1000;
+    // Pools of combinations nobody used for a while are terminated to free memory
+    this.idleTimeout = parseInt(process.env.OCR_WORKER_IDLE_MS, 10) || 5 * 60 * 1000;
+    // Vocabulary pools kept at once; the least recently used idle one makes room for a new vocabulary
+    this.maxVocabularyPools = parseInt(process.env.OCR_MAX_VOCABULARY_POOLS, 10) || 4;
+
+    this.workerOptions = {};
+    this.pools = new Map();
+  }
+
+  /**
+   * Set the options workers are created with (langPath, cachePath, logger)
+   * Workers that are already running keep their options.
+   * @param {Object} options - Tesseract createWorker options
+   */
+  configure(options = {}) {
+    this.workerOptions = options;
+  }
+
+  /**
+   * Recognise an image on a pooled worker of the given language combination
+   * Jobs wait in a FIFO queue while all workers of the combination are busy.
+   * @param {Buffer|string} image - Image to recognise
+   * @param {string} languages - Tesseract language string, e.g. 'hin+eng'
+   * @param {Object} options - Tesseract recognize options
+   * @param {Object} vocabulary - Optional { key, words, patterns } loaded as Tesseract user words/patterns
+   * @returns {Promise<Object>} - Tesseract result ({ data })
+   */
+  recognize(image, languages, options = {}, vocabulary = null) {
+    const pool = this.getPool(languages, vocabulary);
+
+    if (pool.queue.length >= this.maxQueueLength) {
+      return Promise.reject(new Error('OCR queue is full. Please try again shortly.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { image, options, resolve, reject };
+
+      job.queueTimer = setTimeout(() => {
+        const index = pool.queue.indexOf(job);
+        if (index === -1) return;
+        pool.queue.splice(index, 1);
+        reject(new Error(`OCR queue timeout: no worker became available within ${this.queueTimeout}ms`));
+      }, this.queueTimeout);
+
+      pool.queue.push(job);
+      this.dispatch(pool);
+    });
+  }
+
+  /**
+   * Start the workers of a language combination ahead of the first request
+   * @param {string} languages - Tesseract language string
+   * @returns {Promise<void>}
+   */
+  async warmUp(languages) {
+    const pool = this.getPool(languages);
+
+    while (pool.workers.length < pool.size) {
+      this.addWorker(pool);
+    }
+
+    await Promise.all(pool.workers.map(entry => entry.ready));
+    this.scheduleIdleShutdown(pool);
+  }
+
+  /**
+   * Number of workers a pool for the given vocabulary runs
+   * Callers submitting many jobs at once should keep at most this many in flight,
+   * so later jobs do not hit the queue timeout.
+   * @param {Object} vocabulary - Optional vocabulary as passed to recognize
+   * @returns {number}
+   */
+  getPoolSize(vocabulary = null) {
+    // Workers load user words at initialisation, so each vocabulary gets its own pool;
+    // those are limited to a single worker since there can be one per user or class
+    return vocabulary ? 1 : this.size;
+  }
+
+  /**
+   * Pool size, busy workers and queue length per language combination
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.size,
+      maxQueueLength: this.maxQueueLength,
+      maxVocabularyPools: this.maxVocabularyPools,
+      jobTimeout: this.jobTimeout,
+      pools: [...this.pools.values()].map(pool => ({
+        languages: pool.languages,
+        vocabulary: Boolean(pool.vocabulary),
+        workers: pool.workers.length,
+        busy: pool.workers.filter(entry => entry.busy).length,
+        queued: pool.queue.length
+      }))
+    };
+  }
+
+  /**
+   * Terminate every worker and reject queued jobs
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    const pools = [...this.pools.values()];
+    this.pools.clear();
+
+    await Promise.all(pools.map(pool => {
+      clearTimeout(pool.idleTimer);
+      pool.queue.splice(0).forEach(job => {
+        clearTimeout(job.queueTimer);
+        job.reject(new Error('OCR service is shutting down'));
+      });
+      return Promise.all(pool.workers.splice(0).map(entry => this.terminateWorker(entry)));
+    }));
+  }
+
+  /**
+   * @private
+   */
+  getPool(languages, vocabulary = null) {
+    const key = vocabulary ? `${languages}#${vocabulary.key}` : languages;
+
+    if (!this.pools.has(key)) {
+      if (vocabulary && !this.makeRoomForVocabularyPool()) {
+        // Every vocabulary pool is busy; recognise without user words rather than start another worker
+        console.warn(`⚠️ ${this.maxVocabularyPools} vocabulary pools busy; using the shared ${languages} workers`);
+        return this.getPool(languages);
+      }
+
+      this.pools.set(key, {
+        key,
+        languages,
+        vocabulary,
+        size: this.getPoolSize(vocabulary),
+        workers: [],
+        queue: [],
+        idleTimer: null
+      });
+    }
+
+    // Re-insert so the map stays ordered from least to most recently used
+    const pool = this.pools.get(key);
+    this.pools.delete(key);
+    this.pools.set(key, pool);
+    return pool;
+  }
+
+  /**
+   * Terminate the least recently used idle vocabulary pool when the limit is reached
+   * @private
+   * @returns {boolean} - Whether another vocabulary pool may be created
+   */
+  makeRoomForVocabularyPool() {
+    const vocabularyPools = [...this.pools.values()].filter(pool => pool.vocabulary);
+    if (vocabularyPools.length < this.maxVocabularyPools) return true;
+
+    const idle = vocabularyPools.find(pool => pool.queue.length === 0 && !pool.workers.some(entry => entry.busy));
+    if (!idle) return false;
+
+    console.log(`🧵 Terminating least recently used Tesseract workers for ${idle.key}`);
+    this.removePool(idle);
+    return true;
+  }
+
+  /**
+   * Hand queued jobs to idle workers, starting new workers up to the pool size
+   * @private
+   */
+  dispatch(pool) {
+    clearTimeout(pool.idleTimer);
+
+    while (pool.queue.length > 0) {
+      let entry = pool.workers.find(candidate => !candidate.busy);
+      if (!entry) {
+        if (pool.workers.length >= pool.size) return;
+        entry = this.addWorker(pool);
+      }
+
+      const job = pool.queue.shift();
+      clearTimeout(job.queueTimer);
+      this.runJob(pool, entry, job);
+    }
+  }
+
+  /**
+   * @private
+   */
+  addWorker(pool) {
+    const entry = { busy: false, worker: null, ready: null };
+
+    entry.ready = Tesseract.createWorker(pool.languages, undefined, {
+      ...this.workerOptions,
+      // Without an error handler tesseract.js rethrows failed jobs as uncaught exceptions
+      errorHandler: error => console.error(`❌ Tesseract worker error (${pool.languages}):`, error)
+    }).then(async worker => {
+      entry.worker = worker;
+      if (pool.vocabulary) await this.loadVocabulary(worker, pool);
+      return worker;
+    });
+
+    // A worker that fails to start is dropped; its job is rejected in runJob
+    entry.ready.catch(() => this.removeWorker(pool, entry));
+
+    pool.workers.push(entry);
+    console.log(`🧵 Starting Tesseract worker ${pool.workers.length}/${pool.size} for ${pool.languages}`);
+    return entry;
+  }
+
+  /**
+   * Write the vocabulary to the worker's virtual file system and re-initialise with it
+   * @private
+   */
+  async loadVocabulary(worker, pool) {
+    const { words, patterns } = pool.vocabulary;
+    const config = {};
+
+    if (words.length > 0) {
+      await worker.writeText('/user-words', `${words.join('\n')}\n`);
+      config.user_words_file = '/user-words';
+    }
+    if (patterns.length > 0) {
+      await worker.writeText('/user-patterns', `${patterns.join('\n')}\n`);
+      config.user_patterns_file = '/user-patterns';
+    }
+
+    await worker.reinitialize(pool.languages, undefined, config);
+  }
+
+  /**
+   * @private
+   */
+  async runJob(pool, entry, job) {
+    entry.busy = true;
+    let timer;
+
+    try {
+      const worker = await entry.ready;
+
+      const result = await Promise.race([
+        worker.recognize(job.image, job.options),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`OCR timed out after ${this.jobTimeout}ms`)),
+            this.jobTimeout
+          );
+        })
+      ]);
+
+      job.resolve(result);
+    } catch (error) {
+      // A timed-out worker may still be busy recognising; replace it rather than reuse it
+      if (error.message?.startsWith('OCR timed out')) {
+        this.removeWorker(pool, entry);
+        this.terminateWorker(entry);
+      }
+      job.reject(error instanceof Error ? error : new Error(String(error)));
+    } finally {
+      clearTimeout(timer);
+      entry.busy = false;
+      this.dispatch(pool);
+      this.scheduleIdleShutdown(pool);
+    }
+  }
+
+  /**
+   * @private
+   */
+  scheduleIdleShutdown(pool) {
+    clearTimeout(pool.idleTimer);
+    if (pool.queue.length > 0 || pool.workers.some(entry => entry.busy)) return;
+
+    pool.idleTimer = setTimeout(async () => {
+      if (this.pools.get(pool.key) !== pool || pool.workers.some(entry => entry.busy)) return;
+      console.log(`🧵 Terminating idle Tesseract workers for ${pool.languages}`);
+      await this.removePool(pool);
+    }, this.idleTimeout);
+
+    // Do not keep the process alive just to reap idle workers
+    pool.idleTimer.unref();
+  }
+
+  /**
+   * Forget an idle pool and terminate its workers
+   * @private
+   */
+  removePool(pool) {
+    clearTimeout(pool.idleTimer);
+    this.pools.delete(pool.key);
+    return Promise.all(pool.workers.splice(0).map(entry => this.terminateWorker(entry)));
+  }
+
+  /**
+   * @private
+   */
+  removeWorker(pool, entry) {
+    const index = pool.workers.indexOf(entry);
+    if (index !== -1) pool.workers.splice(index, 1);
+  }
+
+  /**
+   * @private
+   */
+  async terminateWorker(entry) {
+    try {
+      const worker = entry.worker || await entry.ready;
+      await worker.terminate();
+    } catch (error) {
+      // Worker never started or is already gone
+    }
+  }
+}
+
+module.exports = new TesseractWorkerPool();
@@ -0,0 +1,253 @@
+// services/textDiff.js
+
+class TextDiff {
+  constructor() {
+    // Words (letters, combining marks, digits) or single punctuation marks such as ',' or '।'
+    this.tokenPattern = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*|[^\s\p{L}\p{M}\p{N}]/gu;
+
+    // Above this many DP cells the changed middle is reported as a single substitution
+    this.maxCells = 2000000;
+    // Substitutions up to this length also get a character-level breakdown
+    this.maxCharacterDiffLength = 80;
+  }
+
+  /**
+   * Word-level diff between an original and a corrected text
+   * Offsets are string indexes (UTF-16 code units, as used by JavaScript and most editors);
+   * `original` spans point into the original text and `corrected` spans into the corrected one.
+   * Insertions have an empty original span at the position where the text was added.
+   * @param {string} original - Text as written by the student
+   * @param {string} corrected - Corrected text
+   * @returns {Object} - { edits: [{ type: 'insertion' | 'deletion' | 'substitution', original: { text, start, end },
+   *                       corrected: { text, start, end }, characters? }], stats, similarity }
+   */
+  diff(original = '', corrected = '') {
+    const source = this.tokenize(original);
+    const target = this.tokenize(corrected);
+    const operations = this.align(source.map(token => token.text), target.map(token => token.text));
+
+    const edits = [];
+    let pending = null;
+    let sourceIndex = 0;
+    let targetIndex = 0;
+
+    const flush = () => {
+      if (!pending) return;
+      edits.push(this.buildEdit(original, corrected, source, target, pending));
+      pending = null;
+    };
+
+    for (const operation of operations) {
+      if (operation === 'equal') {
+        flush();
+        sourceIndex++;
+        targetIndex++;
+        continue;
+      }
+
+      if (!pending) {
+        pending = { sourceStart: sourceIndex, sourceEnd: sourceIndex, targetStart: targetIndex, targetEnd: targetIndex };
+      }
+      if (operation === 'delete') pending.sourceEnd = ++sourceIndex;
+      if (operation === 'insert') pending.targetEnd = ++targetIndex;
+    }
+    flush();
+
+    const matched = operations.filter(operation => operation === 'equal').length;
+    const total = source.length + target.length;
+
+    return {
+      edits,
+      stats: {
+        insertions: edits.filter(edit => edit.type === 'insertion').length,
+        deletions: edits.filter(edit => edit.type === 'deletion').length,
+        substitutions: edits.filter(edit => edit.type === 'substitution').length,
+        originalWords: source.length,
+        correctedWords: target.length
+      },
+      // Share of tokens the two texts have in common, in order (1 = identical)
+      similarity: total === 0 ? 1 : parseFloat(((2 * matched) / total).toFixed(4))
+    };
+  }
+
+  /**
+   * Similarity of two texts between 0 and 1 based on the word diff
+   * @param {string} original - First text
+   * @param {string} corrected - Second text
+   * @returns {number}
+   */
+  similarity(original, corrected) {
+    return this.diff(original, corrected).similarity;
+  }
+
+  /**
+   * Replace spans of a text, e.g. to build a corrected text from error spans
+   * @param {string} text - Original text
+   * @param {Array<Object>} replacements - { start, end, replacement } with offsets into text; must not overlap
+   * @returns {string} - Text with every span replaced
+   */
+  applyReplacements(text, replacements) {
+    return [...replacements]
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, entry) => result.slice(0, entry.start) + entry.replacement + result.slice(entry.end), text);
+  }
+
+  /**
+   * Split text into word and punctuation tokens with their offsets
+   * @private
+   */
+  tokenize(text) {
+    return [...(text || '').matchAll(this.tokenPattern)].map(match => ({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * Shortest edit script between two token lists as 'equal' | 'delete' | 'insert' operations
+   * The common prefix and suffix are matched directly; the middle uses an LCS table.
+   * @private
+   */
+  align(source, target) {
+    let prefix = 0;
+    while (prefix < source.length && prefix < target.length && source[prefix] === target[prefix]) prefix++;
+
+    let suffix = 0;
+    while (
+      suffix < source.length - prefix &&
+      suffix < target.length - prefix &&
+      source[source.length - 1 - suffix] === target[target.length - 1 - suffix]
+    ) suffix++;
+
+    const a = source.slice(prefix, source.length - suffix);
+    const b = target.slice(prefix, target.length - suffix);
+    const middle = [];
+
+    if ((a.length + 1) * (b.length + 1) > this.maxCells) {
+      a.forEach(() => middle.push('delete'));
+      b.forEach(() => middle.push('insert'));
+    } else {
+      // lengths[i][j] = LCS length of a[i..] and b[j..]
+      const width = b.length + 1;
+      const lengths = new Uint32Array((a.length + 1) * width);
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lengths[i * width + j] = a[i] === b[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+          middle.push('equal');
+          i++;
+          j++;
+        } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+          middle.push('delete');
+          i++;
+        } else {
+          middle.push('insert');
+          j++;
+        }
+      }
+    }
+
+    return [
+      ...Array(prefix).fill('equal'),
+      ...middle,
+      ...Array(suffix).fill('equal')
+    ];
+  }
+
+  /**
+   * Turn a run of deleted/inserted tokens into an edit with offsets in both texts
+   * @private
+   */
+  buildEdit(original, corrected, source, target, run) {
+    const span = (text, tokens, startIndex, endIndex) => {
+      if (endIndex > startIndex) {
+        const start = tokens[startIndex].start;
+        const end = tokens[endIndex - 1].end;
+        return { text: text.slice(start, end), start, end };
+      }
+      // Nothing on this side: anchor after the previous token (or at the start)
+      const position = startIndex > 0 ? tokens[startIndex - 1].end : 0;
+      return { text: '', start: position, end: position };
+    };
+
+    const originalSpan = span(original, source, run.sourceStart, run.sourceEnd);
+    const correctedSpan = span(corrected, target, run.targetStart, run.targetEnd);
+
+    const type = !originalSpan.text ? 'insertion' : !correctedSpan.text ? 'deletion' : 'substitution';
+    const edit = { type, original: originalSpan, corrected: correctedSpan };
+
+    if (
+      type === 'substitution' &&
+      originalSpan.text.length <= this.maxCharacterDiffLength &&
+      correctedSpan.text.length <= this.maxCharacterDiffLength
+    ) {
+      const characters = this.diffCharacters(originalSpan, correctedSpan);
+      // Skip the breakdown when the whole word was replaced
+      if (characters.length > 1 || characters[0].original.text !== originalSpan.text) {
+        edit.characters = characters;
+      }
+    }
+
+    return edit;
+  }
+
+  /**
+   * Character-level changes inside a substituted span (e.g. a missing matra or nukta)
+   * @private
+   */
+  diffCharacters(originalSpan, correctedSpan) {
+    const source = [...originalSpan.text];
+    const target = [...correctedSpan.text];
+    const operations = this.align(source, target);
+
+    const changes = [];
+    let sourceOffset = originalSpan.start;
+    let targetOffset = correctedSpan.start;
+    let sourceIndex = 0;
+    let targetIndex = 0;
+    let current = null;
+
+    for (const operation of operations) {
+      if (operation === 'equal') {
+        current = null;
+        sourceOffset += source[sourceIndex++].length;
+        targetOffset += target[targetIndex++].length;
+        continue;
+      }
+
+      if (!current) {
+        current = {
+          original: { text: '', start: sourceOffset, end: sourceOffset },
+          corrected: { text: '', start: targetOffset, end: targetOffset }
+        };
+        changes.push(current);
+      }
+
+      if (operation === 'delete') {
+        const char = source[sourceIndex++];
+        current.original.text += char;
+        current.original.end = sourceOffset += char.length;
+      } else {
+        const char = target[targetIndex++];
+        current.corrected.text += char;
+        current.corrected.end = targetOffset += char.length;
+      }
+    }
+
+    return changes.map(change => ({
+      type: !change.original.text ? 'insertion' : !change.corrected.text ? 'deletion' : 'substitution',
+      ...change
+    }));
+  }
+}
+
+module.exports = new TextDiff();
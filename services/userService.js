@@ -0,0 +1,135 @@
+// services/userService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserData = require('../models/UserData');
+
+class UserService {
+  constructor() {
+    this.roles = ['student', 'teacher', 'admin'];
+  }
+
+  /**
+   * Decide whether a user may access data owned by another user
+   * Admins can access everything, users can access their own data,
+   * and teachers can read (but not modify) data of students in their classes.
+   * @param {Object} actor - req.user of the requesting user
+   * @param {string} ownerId - userId that owns the data
+   * @param {Object} options - { write: boolean }
+   * @returns {Promise<boolean>} - Whether access is allowed
+   */
+  async canAccessUser(actor, ownerId, options = {}) {
+    if (!actor || !ownerId) return false;
+
+    if (actor.role === 'admin') return true;
+    if (actor.userId === String(ownerId)) return true;
+
+    if (actor.role === 'teacher' && !options.write && actor.classes?.length) {
+      if (!mongoose.isValidObjectId(ownerId)) return false;
+
+      const student = await User.findOne({
+        _id: ownerId,
+        role: 'student',
+        classes: { $in: actor.classes }
+      }).select('_id');
+
+      return Boolean(student);
+    }
+
+    return false;
+  }
+
+  /**
+   * Look up the userId that owns a record
+   * @param {mongoose.Model} Model - Model holding the record
+   * @param {string} recordId - Record ObjectId
+   * @returns {Promise<string|null>} - Owner userId or null when the record does not exist
+   */
+  async getRecordOwner(Model, recordId) {
+    if (!mongoose.isValidObjectId(recordId)) return null;
+
+    const record = await Model.findById(recordId).select('userId').lean();
+    return record?.userId ? String(record.userId) : null;
+  }
+
+  /**
+   * Get learning records (UserData) of a user
+   * @param {string} userId - Owner userId
+   * @param {Object} options - { page, limit, language }
+   * @returns {Promise<Object>} - Paginated records
+   */
+  async getUserRecords(userId, options = {}) {
+    try {
+      const page = Math.max(1, options.page || 1);
+      const limit = Math.min(100, Math.max(1, options.limit || 10));
+
+      const query = { userId };
+      if (options.language) query.language = options.language;
+
+      const [records, total] = await Promise.all([
+        UserData.find(query)
+          .sort({ timestamp: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        UserData.countDocuments(query)
+      ]);
+
+      return {
+        records,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (error) {
+      console.error('Get user records error:', error);
+      throw new Error(`Failed to get user records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a learning record (UserData) for a user
+   * @param {string} userId - Owner userId
+   * @param {Object} data - { extractedText, correctedText, language, source, pronunciationScore, ocrRecordId }
+   * @returns {Promise<Object>} - Saved record
+   */
+  async saveUserRecord(userId, data) {
+    try {
+      const record = await UserData.create({ ...data, userId });
+      return record.toJSON();
+
+    } catch (error) {
+      console.error('Save user record error:', error);
+      throw new Error(`Failed to save user record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the role and class membership of a user (admin only)
+   * @param {string} userId - User to update
+   * @param {Object} updates - { role, classes }
+   * @returns {Promise<Object|null>} - Updated user or null when not found
+   */
+  async updateUserAccess(userId, { role, classes }) {
+    try {
+      if (!mongoose.isValidObjectId(userId)) return null;
+
+      const user = await User.findById(userId);
+      if (!user) return null;
+
+      if (role !== undefined) user.role = role;
+      if (classes !== undefined) user.classes = classes;
+
+      await user.save();
+      return user.toJSON();
+
+    } catch (error) {
+      console.error('Update user access error:', error);
+      throw new Error(`Failed to update user access: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,332 @@
+// services/vocabularyService.js
+const crypto = require('crypto');
+const Vocabulary = require('../models/Vocabulary');
+const userService = require('./userService');
+
+class VocabularyService {
+  constructor() {
+    this.scopes = ['user', 'class'];
+    this.languages = ['en', 'hi', 'pa'];
+
+    this.maxWords = parseInt(process.env.OCR_VOCABULARY_MAX_WORDS, 10) || 2000;
+    this.maxPatterns = 100;
+    this.maxEntryLength = 64;
+
+    // Tokens shorter than this are never snapped; short words have too many near neighbours
+    this.minSnapLength = 3;
+  }
+
+  /**
+   * Decide whether a user may read or change a word list
+   * User lists follow the usual record rules (self, class teacher read-only, admin);
+   * class lists can be read by class members and changed by the class teacher or an admin.
+   * @param {Object} actor - req.user of the requesting user
+   * @param {string} scope - 'user' | 'class'
+   * @param {string} ownerId - userId or class code
+   * @param {Object} options - { write: boolean }
+   * @returns {Promise<boolean>}
+   */
+  async canAccessList(actor, scope, ownerId, options = {}) {
+    if (actor.role === 'admin') return true;
+
+    if (scope === 'user') {
+      return userService.canAccessUser(actor, ownerId, options);
+    }
+
+    const isMember = (actor.classes || []).includes(this.normalizeOwnerId(scope, ownerId));
+    return isMember && (!options.write || actor.role === 'teacher');
+  }
+
+  /**
+   * Get a single word list
+   * @param {string} scope - 'user' | 'class'
+   * @param {string} ownerId - userId or class code
+   * @param {string} language - 'en' | 'hi' | 'pa'
+   * @returns {Promise<Object|null>}
+   */
+  async getList(scope, ownerId, language) {
+    try {
+      const list = await Vocabulary.findOne({
+        scope,
+        ownerId: this.normalizeOwnerId(scope, ownerId),
+        language
+      });
+      return list ? list.toJSON() : null;
+    } catch (error) {
+      console.error('❌ Get vocabulary error:', error);
+      throw new Error(`Failed to get vocabulary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every list that applies to a user: their own and those of their classes
+   * @param {Object} user - req.user
+   * @param {string} language - Optional language filter
+   * @returns {Promise<Array<Object>>}
+   */
+  async getListsForUser(user, language) {
+    try {
+      const query = {
+        $or: [
+          { scope: 'user', ownerId: user.userId },
+          { scope: 'class', ownerId: { $in: user.classes || [] } }
+        ]
+      };
+      if (language) query.language = language;
+
+      const lists = await Vocabulary.find(query).sort({ scope: -1, ownerId: 1, language: 1 });
+      return lists.map(list => list.toJSON());
+    } catch (error) {
+      console.error('❌ Get vocabularies error:', error);
+      throw new Error(`Failed to get vocabularies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace a word list
+   * @param {string} scope - 'user' | 'class'
+   * @param {string} ownerId - userId or class code
+   * @param {string} language - 'en' | 'hi' | 'pa'
+   * @param {Object} entries - { words, patterns }
+   * @param {string} updatedBy - userId making the change
+   * @returns {Promise<Object>} - Saved list
+   */
+  async saveList(scope, ownerId, language, { words = [], patterns = [] }, updatedBy) {
+    const normalized = {
+      words: this.normalizeWords(words),
+      patterns: this.normalizePatterns(patterns)
+    };
+
+    try {
+      const list = await Vocabulary.findOneAndUpdate(
+        { scope, ownerId: this.normalizeOwnerId(scope, ownerId), language },
+        { $set: { ...normalized, updatedBy } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      return list.toJSON();
+    } catch (error) {
+      console.error('❌ Save vocabulary error:', error);
+      throw new Error(`Failed to save vocabulary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add and/or remove words and patterns of a list (created when missing)
+   * @param {string} scope - 'user' | 'class'
+   * @param {string} ownerId - userId or class code
+   * @param {string} language - 'en' | 'hi' | 'pa'
+   * @param {Object} changes - { add: { words, patterns }, remove: { words, patterns } }
+   * @param {string} updatedBy - userId making the change
+   * @returns {Promise<Object>} - Updated list
+   */
+  async updateList(scope, ownerId, language, { add = {}, remove = {} }, updatedBy) {
+    const current = await this.getList(scope, ownerId, language);
+
+    const merge = (existing, added, removed) => {
+      if (!Array.isArray(added) || !Array.isArray(removed)) {
+        throw new Error('Invalid vocabulary: words and patterns must be arrays of strings');
+      }
+      const removedSet = new Set(removed.map(entry => this.normalizeEntry(entry)));
+      return [...existing, ...added].filter(entry => !removedSet.has(this.normalizeEntry(entry)));
+    };
+
+    return this.saveList(scope, ownerId, language, {
+      words: merge(current?.words || [], add.words || [], remove.words || []),
+      patterns: merge(current?.patterns || [], add.patterns || [], remove.patterns || [])
+    }, updatedBy);
+  }
+
+  /**
+   * Delete a word list
+   * @returns {Promise<boolean>} - Whether a list was deleted
+   */
+  async deleteList(scope, ownerId, language) {
+    try {
+      const deleted = await Vocabulary.findOneAndDelete({
+        scope,
+        ownerId: this.normalizeOwnerId(scope, ownerId),
+        language
+      });
+      return Boolean(deleted);
+    } catch (error) {
+      console.error('❌ Delete vocabulary error:', error);
+      throw new Error(`Failed to delete vocabulary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge the user's and their classes' lists into one OCR vocabulary
+   * @param {Object} user - req.user
+   * @param {string} language - 'en' | 'hi' | 'pa', or undefined for all languages
+   * @returns {Promise<Object|null>} - { key, words, patterns } or null when there are no entries
+   */
+  async getOcrVocabulary(user, language) {
+    const lists = await this.getListsForUser(user, language);
+
+    const words = [...new Set(lists.flatMap(list => list.words))].sort();
+    const patterns = [...new Set(lists.flatMap(list => list.patterns))].sort();
+
+    if (words.length === 0 && patterns.length === 0) return null;
+
+    return {
+      // Identifies the combined list for worker pools and the result cache
+      key: crypto.createHash('sha256').update(JSON.stringify({ words, patterns })).digest('hex'),
+      words,
+      patterns
+    };
+  }
+
+  /**
+   * Snap a recognised token to the closest vocabulary entry
+   * Surrounding punctuation is kept; ties between entries are left alone.
+   * @param {string} token - Recognised word
+   * @param {Object} dictionary - Output of buildDictionary
+   * @returns {Object|null} - { text, entry, distance } or null when nothing is close enough
+   */
+  snapWord(token, dictionary) {
+    const match = (token || '').match(/^([^\p{L}\p{M}\p{N}]*)(.*?)([^\p{L}\p{M}\p{N}]*)$/u);
+    const [, prefix, core, suffix] = match;
+
+    const normalized = this.normalizeEntry(core);
+    const length = [...normalized].length;
+    if (length < this.minSnapLength || /^\p{N}+$/u.test(normalized) || dictionary.exact.has(normalized)) {
+      return null;
+    }
+
+    // Allow roughly one edit per four characters, at most three
+    const maxDistance = Math.min(3, Math.max(1, Math.floor(length / 4)));
+
+    let best = null;
+    let tie = false;
+    for (const entry of dictionary.entries) {
+      if (Math.abs(entry.length - length) > maxDistance) continue;
+
+      const distance = this.editDistance(normalized, entry.normalized, maxDistance);
+      if (distance > maxDistance) continue;
+
+      if (!best || distance < best.distance) {
+        best = { entry: entry.word, distance };
+        tie = false;
+      } else if (distance === best.distance) {
+        tie = true;
+      }
+    }
+
+    if (!best || tie) return null;
+    return { text: `${prefix}${best.entry}${suffix}`, entry: best.entry, distance: best.distance };
+  }
+
+  /**
+   * Prepare vocabulary words for repeated snapWord lookups
+   * @param {Array<string>} words - Vocabulary words
+   * @returns {Object} - { entries, exact }
+   */
+  buildDictionary(words) {
+    const entries = words.map(word => {
+      const normalized = this.normalizeEntry(word);
+      return { word, normalized, length: [...normalized].length };
+    });
+
+    return { entries, exact: new Set(entries.map(entry => entry.normalized)) };
+  }
+
+  /**
+   * Levenshtein distance over code points, giving up once it exceeds maxDistance
+   * @private
+   */
+  editDistance(a, b, maxDistance) {
+    const source = [...a];
+    const target = [...b];
+
+    let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= source.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+
+    return previous[target.length];
+  }
+
+  /**
+   * @private
+   */
+  normalizeEntry(entry) {
+    return String(entry).normalize('NFC').trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  normalizeOwnerId(scope, ownerId) {
+    // Class codes are stored uppercase on users
+    return scope === 'class' ? String(ownerId).trim().toUpperCase() : String(ownerId).trim();
+  }
+
+  /**
+   * Trim, NFC-normalise and de-duplicate words; Tesseract user words are single tokens
+   * @private
+   */
+  normalizeWords(words) {
+    if (!Array.isArray(words)) {
+      throw new Error('Invalid vocabulary: words must be an array of strings');
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    for (const word of words) {
+      if (typeof word !== 'string') {
+        throw new Error('Invalid vocabulary: words must be an array of strings');
+      }
+
+      const entry = word.normalize('NFC').trim();
+      if (!entry) continue;
+      if (/\s/.test(entry)) {
+        throw new Error(`Invalid vocabulary: "${entry}" must be a single word without spaces`);
+      }
+      if ([...entry].length > this.maxEntryLength) {
+        throw new Error(`Invalid vocabulary: words can be at most ${this.maxEntryLength} characters`);
+      }
+
+      const key = this.normalizeEntry(entry);
+      if (!seen.has(key)) {
+        seen.add(key);
+        normalized.push(entry);
+      }
+    }
+
+    if (normalized.length > this.maxWords) {
+      throw new Error(`Invalid vocabulary: a list can hold at most ${this.maxWords} words`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  normalizePatterns(patterns) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+      throw new Error('Invalid vocabulary: patterns must be an array of strings');
+    }
+
+    const normalized = [...new Set(patterns.map(pattern => pattern.trim()).filter(Boolean))];
+
+    if (normalized.some(pattern => /[\r\n]/.test(pattern) || pattern.length > this.maxEntryLength)) {
+      throw new Error(`Invalid vocabulary: patterns must be single lines of at most ${this.maxEntryLength} characters`);
+    }
+    if (normalized.length > this.maxPatterns) {
+      throw new Error(`Invalid vocabulary: a list can hold at most ${this.maxPatterns} patterns`);
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = new VocabularyService();
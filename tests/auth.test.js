@@ -0,0 +1,111 @@
+jest.mock('../services/authService', () => ({}));
+jest.mock('../services/userService', () => ({ canAccessUser: jest.fn() }));
+
+const userService = require('../services/userService');
+const { authorizeOwnership, authorizeUserScope } = require('../middleware/auth');
+
+const student = { userId: 'student-1', role: 'student', classes: ['7A'] };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a middleware and report how it ended
+const run = async (middleware, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+beforeEach(() => {
+  userService.canAccessUser.mockReset();
+});
+
+describe('authorizeOwnership', () => {
+  test('passes the owner on to the handler when access is allowed', async () => {
+    userService.canAccessUser.mockResolvedValue(true);
+    const req = { method: 'GET', user: student, params: { recordId: 'r1' } };
+
+    const { next } = await run(authorizeOwnership(async () => 'student-1'), req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.resourceOwnerId).toBe('student-1');
+    expect(userService.canAccessUser).toHaveBeenCalledWith(student, 'student-1', { write: false });
+  });
+
+  test('checks write access for non-GET requests', async () => {
+    userService.canAccessUser.mockResolvedValue(true);
+
+    await run(authorizeOwnership(() => 'student-1'), { method: 'DELETE', user: student, params: {} });
+
+    expect(userService.canAccessUser).toHaveBeenCalledWith(student, 'student-1', { write: true });
+  });
+
+  test('answers 404 for unknown records and for records of other users alike', async () => {
+    const missing = await run(authorizeOwnership(() => null), { method: 'GET', user: student, params: {} });
+
+    userService.canAccessUser.mockResolvedValue(false);
+    const foreign = await run(authorizeOwnership(() => 'student-2'), { method: 'GET', user: student, params: {} });
+
+    for (const { res, next } of [missing, foreign]) {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    }
+  });
+
+  test('passes lookup errors to the error handler', async () => {
+    const error = new Error('database down');
+
+    const { next } = await run(authorizeOwnership(() => Promise.reject(error)), { method: 'GET', user: student, params: {} });
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
+
+describe('authorizeUserScope', () => {
+  test('defaults to the authenticated user', async () => {
+    userService.canAccessUser.mockResolvedValue(true);
+    const req = { method: 'GET', user: student, params: {}, query: {} };
+
+    const { next } = await run(authorizeUserScope, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.targetUserId).toBe('student-1');
+  });
+
+  test('ignores ?userId= so /me routes always resolve to the authenticated user', async () => {
+    userService.canAccessUser.mockResolvedValue(true);
+    const req = { method: 'GET', user: student, params: {}, query: { userId: 'student-2' } };
+
+    await run(authorizeUserScope, req);
+
+    expect(req.targetUserId).toBe('student-1');
+    expect(userService.canAccessUser).toHaveBeenCalledWith(student, 'student-1', { write: false });
+  });
+
+  test('honours a :userId route param when access is allowed', async () => {
+    const teacher = { userId: 'teacher-1', role: 'teacher', classes: ['7A'] };
+    userService.canAccessUser.mockResolvedValue(true);
+    const req = { method: 'GET', user: teacher, params: { userId: 'student-1' }, query: {} };
+
+    await run(authorizeUserScope, req);
+
+    expect(req.targetUserId).toBe('student-1');
+    expect(userService.canAccessUser).toHaveBeenCalledWith(teacher, 'student-1', { write: false });
+  });
+
+  test('answers 403 when the user may not access the requested user', async () => {
+    userService.canAccessUser.mockResolvedValue(false);
+    const req = { method: 'GET', user: student, params: { userId: 'student-2' }, query: {} };
+
+    const { res, next } = await run(authorizeUserScope, req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(req.targetUserId).toBeUndefined();
+  });
+});
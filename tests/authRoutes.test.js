@@ -0,0 +1,115 @@
+jest.mock('../services/authService', () => ({ register: jest.fn(), login: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const authService = require('../services/authService');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const registration = { name: 'Asha', email: 'asha@example.com', password: 'correct horse' };
+
+const tokens = { user: { id: 'user-1' }, accessToken: 'access', refreshToken: 'refresh', expiresIn: '7d' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/register', () => {
+  test('creates the account with English as the default language', async () => {
+    authService.register.mockResolvedValue(tokens);
+
+    const res = await request(app).post('/api/auth/register').send(registration);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toEqual(tokens);
+    expect(authService.register).toHaveBeenCalledWith({ ...registration, preferredLanguage: 'en' });
+  });
+
+  test('passes the preferred language on in lower case', async () => {
+    authService.register.mockResolvedValue(tokens);
+
+    const res = await request(app).post('/api/auth/register').send({ ...registration, preferredLanguage: 'HI' });
+
+    expect(res.status).toBe(201);
+    expect(authService.register).toHaveBeenCalledWith(expect.objectContaining({ preferredLanguage: 'hi' }));
+  });
+
+  test.each([
+    ['an unsupported language', 'fr'],
+    ['an unsupported language code in upper case', 'FR'],
+    ['an empty language', ''],
+    ['a number', 7],
+    ['an array', ['en']],
+    ['null', null]
+  ])('rejects %s as preferred language', async (name, preferredLanguage) => {
+    const res = await request(app).post('/api/auth/register').send({ ...registration, preferredLanguage });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('Supported languages are');
+    expect(authService.register).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['name', { name: '  ' }, 'Name is required'],
+    ['email', { email: 'asha' }, 'valid email address'],
+    ['password', { password: 'short' }, 'at least 8 characters']
+  ])('rejects a missing or invalid %s', async (field, override, message) => {
+    const res = await request(app).post('/api/auth/register').send({ ...registration, ...override });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(message);
+  });
+
+  test('answers 409 for an email that is already registered', async () => {
+    authService.register.mockRejectedValue(new Error('Registration failed: Email already registered'));
+
+    const res = await request(app).post('/api/auth/register').send(registration);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ success: false, message: 'An account with this email already exists' });
+  });
+
+  test('answers 400 for details the model rejects', async () => {
+    authService.register.mockRejectedValue(new Error('Registration failed: User validation failed: name: too long'));
+
+    const res = await request(app).post('/api/auth/register').send(registration);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('requires an email and password', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'asha@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(authService.login).not.toHaveBeenCalled();
+  });
+
+  test('answers 401 for wrong credentials', async () => {
+    authService.login.mockRejectedValue(new Error('Login failed: Invalid email or password'));
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'asha@example.com', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  test('returns the token pair on success', async () => {
+    authService.login.mockResolvedValue(tokens);
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'asha@example.com', password: 'correct horse' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(tokens);
+    expect(authService.login).toHaveBeenCalledWith('asha@example.com', 'correct horse');
+  });
+});
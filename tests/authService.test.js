@@ -0,0 +1,141 @@
+jest.mock('../models/User', () => ({ findOne: jest.fn(), findById: jest.fn(), create: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+const registration = { name: 'Asha', email: 'Asha@Example.com', password: 'correct horse', preferredLanguage: 'hi' };
+
+// Mongoose-like user document
+const userDocument = (fields = {}) => {
+  const user = { _id: { toString: () => 'user-1' }, name: 'Asha', email: 'asha@example.com', role: 'student', ...fields };
+  user.toJSON = () => ({ id: 'user-1', name: user.name, email: user.email });
+  return user;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  authService.accessSecret = 'access-secret';
+  authService.refreshSecret = 'refresh-secret';
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authService.register', () => {
+  test('creates the user and signs an access and refresh token for it', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockResolvedValue(userDocument());
+
+    const result = await authService.register(registration);
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'asha@example.com' });
+    expect(result.user).toEqual({ id: 'user-1', name: 'Asha', email: 'asha@example.com' });
+    expect(jwt.verify(result.accessToken, 'access-secret')).toMatchObject({ userId: 'user-1', type: 'access' });
+    expect(jwt.verify(result.refreshToken, 'refresh-secret')).toMatchObject({ userId: 'user-1', type: 'refresh' });
+  });
+
+  test('stores the preferred language in lower case', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockResolvedValue(userDocument());
+
+    await authService.register({ ...registration, preferredLanguage: 'PA' });
+
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ preferredLanguage: 'pa' }));
+  });
+
+  test('rejects an email that is already registered', async () => {
+    User.findOne.mockResolvedValue(userDocument());
+
+    await expect(authService.register(registration)).rejects.toThrow('Registration failed: Email already registered');
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('reports a concurrent registration of the same email as already registered', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error collection: users index: email_1'), { code: 11000 }));
+
+    await expect(authService.register(registration)).rejects.toThrow('Registration failed: Email already registered');
+  });
+
+  test('passes other errors on', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockRejectedValue(new Error('User validation failed: name: Name is required'));
+
+    await expect(authService.register(registration)).rejects.toThrow('Registration failed: User validation failed');
+  });
+});
+
+describe('authService.login', () => {
+  // findOne(...).select('+password') resolving to the given user
+  const findsUser = user => User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+  test('records the login and returns a token pair', async () => {
+    const user = userDocument({ comparePassword: jest.fn().mockResolvedValue(true), save: jest.fn() });
+    findsUser(user);
+
+    const result = await authService.login('ASHA@example.com', 'correct horse');
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'asha@example.com' });
+    expect(user.lastLoginAt).toBeInstanceOf(Date);
+    expect(user.save).toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, accessToken: expect.any(String), refreshToken: expect.any(String) });
+  });
+
+  test('gives the same answer for an unknown email and a wrong password', async () => {
+    findsUser(null);
+    await expect(authService.login('nobody@example.com', 'x')).rejects.toThrow('Invalid email or password');
+
+    findsUser(userDocument({ comparePassword: jest.fn().mockResolvedValue(false) }));
+    await expect(authService.login('asha@example.com', 'wrong')).rejects.toThrow('Invalid email or password');
+  });
+});
+
+describe('authService.refreshTokens', () => {
+  test('issues a new pair for a valid refresh token', async () => {
+    User.findById.mockResolvedValue(userDocument());
+    const { refreshToken } = authService.generateTokens(userDocument());
+
+    const result = await authService.refreshTokens(refreshToken);
+
+    expect(User.findById).toHaveBeenCalledWith('user-1');
+    expect(result.accessToken).toEqual(expect.any(String));
+  });
+
+  test('does not accept an access token', async () => {
+    const { accessToken } = authService.generateTokens(userDocument());
+
+    await expect(authService.refreshTokens(accessToken)).rejects.toThrow('Invalid token');
+  });
+
+  test('rejects tokens of deleted users', async () => {
+    User.findById.mockResolvedValue(null);
+    const { refreshToken } = authService.generateTokens(userDocument());
+
+    await expect(authService.refreshTokens(refreshToken)).rejects.toThrow('User no longer exists');
+  });
+});
+
+describe('authService.authenticate', () => {
+  test('builds the request user from an access token', async () => {
+    User.findById.mockResolvedValue(userDocument({ classes: ['7A'], preferredLanguage: 'hi' }));
+    const { accessToken } = authService.generateTokens(userDocument());
+
+    await expect(authService.authenticate(accessToken)).resolves.toEqual({
+      userId: 'user-1',
+      name: 'Asha',
+      email: 'asha@example.com',
+      role: 'student',
+      classes: ['7A'],
+      preferredLanguage: 'hi'
+    });
+  });
+
+  test('refuses to sign or verify tokens without a secret', async () => {
+    authService.accessSecret = undefined;
+
+    await expect(authService.authenticate('token')).rejects.toThrow('JWT_SECRET environment variable is not defined');
+  });
+});
@@ -0,0 +1,153 @@
+const sharp = require('sharp');
+const documentRasterizer = require('../services/documentRasterizer');
+
+// Minimal PDF with one empty page per MediaBox ([width, height] in points)
+const buildPdf = mediaBoxes => {
+  const pageIds = mediaBoxes.map((box, index) => `${index + 3} 0 R`).join(' ');
+  const pages = mediaBoxes.map(([width, height], index) =>
+    `${index + 3} 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] >> endobj`);
+
+  return Buffer.from([
+    '%PDF-1.4',
+    '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+    `2 0 obj << /Type /Pages /Kids [${pageIds}] /Count ${mediaBoxes.length} >> endobj`,
+    ...pages,
+    'trailer << /Root 1 0 R >>',
+    '%%EOF'
+  ].join('\n'));
+};
+
+// Uncompressed 8-bit greyscale TIFF with one page per { width, height }
+const buildTiff = pageSizes => {
+  const ifdSize = entries => 2 + entries * 12 + 4;
+  const parts = [];
+  let offset = 8;
+  const layout = pageSizes.map(({ width, height }) => {
+    const pixels = offset;
+    offset += width * height;
+    const ifd = offset;
+    offset += ifdSize(9);
+    return { width, height, pixels, ifd };
+  });
+
+  const header = Buffer.alloc(8);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(layout[0].ifd, 4);
+  parts.push(header);
+
+  layout.forEach(({ width, height, pixels }, index) => {
+    parts.push(Buffer.alloc(width * height, index === 0 ? 0 : 255));
+
+    const entries = [
+      [256, 4, width], // ImageWidth
+      [257, 4, height], // ImageLength
+      [258, 3, 8], // BitsPerSample
+      [259, 3, 1], // Compression: none
+      [262, 3, 1], // PhotometricInterpretation: BlackIsZero
+      [273, 4, pixels], // StripOffsets
+      [277, 3, 1], // SamplesPerPixel
+      [278, 4, height], // RowsPerStrip
+      [279, 4, width * height] // StripByteCounts
+    ];
+    const ifd = Buffer.alloc(ifdSize(entries.length));
+    ifd.writeUInt16LE(entries.length, 0);
+    entries.forEach(([tag, type, value], entry) => {
+      const at = 2 + entry * 12;
+      ifd.writeUInt16LE(tag, at);
+      ifd.writeUInt16LE(type, at + 2);
+      ifd.writeUInt32LE(1, at + 4);
+      if (type === 3) ifd.writeUInt16LE(value, at + 8);
+      else ifd.writeUInt32LE(value, at + 8);
+    });
+    ifd.writeUInt32LE(layout[index + 1]?.ifd || 0, 2 + entries.length * 12);
+    parts.push(ifd);
+  });
+
+  return Buffer.concat(parts);
+};
+
+const sizeOf = async png => {
+  const { format, width, height } = await sharp(png).metadata();
+  return { format, width, height };
+};
+
+const defaults = {
+  pdfRenderDpi: documentRasterizer.pdfRenderDpi,
+  maxPdfPageSize: documentRasterizer.maxPdfPageSize
+};
+
+afterEach(() => {
+  Object.assign(documentRasterizer, defaults);
+});
+
+describe('documentRasterizer.rasterize (PDF)', () => {
+  test('renders every page at the configured resolution', async () => {
+    documentRasterizer.pdfRenderDpi = 200;
+
+    const { documentType, pages } = await documentRasterizer.rasterize(buildPdf([[144, 72], [72, 144]]), 'application/pdf');
+
+    expect(documentType).toBe('pdf');
+    expect(await Promise.all(pages.map(sizeOf))).toEqual([
+      { format: 'png', width: 400, height: 200 },
+      { format: 'png', width: 200, height: 400 }
+    ]);
+  });
+
+  test('renders oversized pages at a lower resolution', async () => {
+    documentRasterizer.maxPdfPageSize = 1000;
+
+    const { pages } = await documentRasterizer.rasterize(buildPdf([[14400, 7200]]), 'application/pdf');
+
+    expect(await sizeOf(pages[0])).toMatchObject({ width: 1000, height: 500 });
+  });
+
+  test('rejects documents with more pages than allowed', async () => {
+    await expect(documentRasterizer.rasterize(buildPdf([[72, 72], [72, 72]]), 'application/pdf', { maxPages: 1 }))
+      .rejects.toThrow('Document has too many pages (2). Maximum is 1.');
+  });
+
+  test('rejects data that is not a PDF', async () => {
+    await expect(documentRasterizer.rasterize(Buffer.from('not a pdf'), 'application/pdf'))
+      .rejects.toThrow('Invalid document');
+  });
+});
+
+describe('documentRasterizer.rasterize (TIFF)', () => {
+  test('splits a multi-page TIFF into PNG pages', async () => {
+    const { documentType, pages } = await documentRasterizer.rasterize(
+      buildTiff([{ width: 40, height: 20 }, { width: 40, height: 20 }]),
+      'image/tiff'
+    );
+
+    expect(documentType).toBe('tiff');
+    expect(await Promise.all(pages.map(sizeOf))).toEqual([
+      { format: 'png', width: 40, height: 20 },
+      { format: 'png', width: 40, height: 20 }
+    ]);
+    const { dominant } = await sharp(pages[1]).stats();
+    expect(dominant).toMatchObject({ r: 248, g: 248, b: 248 });
+  });
+
+  test('rejects TIFFs with more pages than allowed', async () => {
+    const tiff = buildTiff([{ width: 10, height: 10 }, { width: 10, height: 10 }, { width: 10, height: 10 }]);
+
+    await expect(documentRasterizer.rasterize(tiff, 'image/tif', { maxPages: 2 })).rejects.toThrow('too many pages (3)');
+  });
+
+  test('rejects data that is not a TIFF', async () => {
+    await expect(documentRasterizer.rasterize(Buffer.from('not a tiff'), 'image/tiff')).rejects.toThrow('Invalid document');
+  });
+});
+
+describe('documentRasterizer.isDocument', () => {
+  test('recognises PDF and TIFF uploads only', () => {
+    expect(documentRasterizer.isDocument('application/pdf')).toBe(true);
+    expect(documentRasterizer.isDocument('image/tiff')).toBe(true);
+    expect(documentRasterizer.isDocument('image/png')).toBe(false);
+  });
+
+  test('rejects other types in rasterize', async () => {
+    await expect(documentRasterizer.rasterize(Buffer.alloc(1), 'image/png')).rejects.toThrow('Unsupported document type');
+  });
+});
@@ -0,0 +1,44 @@
+const express = require('express');
+const request = require('supertest');
+const grammarService = require('../services/grammarService');
+const grammarRoutes = require('../routes/grammar');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { userId: 'user-1', role: 'student', classes: [], preferredLanguage: 'en' };
+  next();
+});
+app.use('/api/grammar', grammarRoutes);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/grammar/explain', () => {
+  test.each(['constructor', 'toString', '__proto__'])('rejects %s as the explanation language', async (explanationLanguage) => {
+    const explain = jest.spyOn(grammarService, 'getDetailedSuggestions');
+
+    const res = await request(app)
+      .post('/api/grammar/explain')
+      .send({ text: 'She go to school.', language: 'en', explanationLanguage });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Explanation language must be one of: en, hi, pa');
+    expect(explain).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/grammar/batch', () => {
+  test('rejects a language that is only an inherited property name', async () => {
+    const check = jest.spyOn(grammarService, 'batchGrammarCheck');
+
+    const res = await request(app)
+      .post('/api/grammar/batch')
+      .send({ texts: ['She go to school.'], language: 'constructor' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Unsupported language/);
+    expect(check).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,256 @@
+const grammarService = require('../services/grammarService');
+
+const text = 'He go to scool.';
+
+// Gemini response whose text() is the given JSON (or raw string)
+const geminiResponse = body => ({
+  response: Promise.resolve({ text: () => (typeof body === 'string' ? body : JSON.stringify(body)) })
+});
+
+const correction = (correctedText, errors = [], suggestions = []) => geminiResponse({ correctedText, errors, suggestions });
+
+const spellingError = { category: 'spelling', original: 'scool', start: 9, end: 14, replacement: 'school', explanation: 'Spelling' };
+const grammarError = { category: 'grammar', original: 'go', start: 3, end: 5, replacement: 'goes', explanation: 'Agreement' };
+
+// Prompt text of a structured (JSON) request
+const promptOf = request => request.contents[0].parts[0].text;
+
+let generateContent;
+
+beforeEach(() => {
+  generateContent = jest.fn();
+  grammarService.model = { generateContent };
+  grammarService.geminiConfigured = true;
+  grammarService.ruleCheckMode = 'off';
+  grammarService.maxAttempts = 2;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('grammarService.checkText', () => {
+  test.each([
+    ['spelling', ['spelling'], 'Only correct spelling mistakes'],
+    ['grammar', ['grammar', 'agreement', 'word_choice'], 'Only correct grammar'],
+    ['punctuation', ['punctuation'], 'Only correct punctuation']
+  ])('runs a focused %s check', async (checkType, categories, instruction) => {
+    generateContent.mockResolvedValue(correction(text));
+
+    const result = await grammarService.checkText(text, 'english', checkType);
+
+    expect(generateContent).toHaveBeenCalledTimes(1);
+    const [request] = generateContent.mock.calls[0];
+    expect(promptOf(request)).toContain(instruction);
+    expect(request.generationConfig.responseSchema.properties.errors.items.properties.category.enum).toEqual(categories);
+    expect(result).toMatchObject({ checkType, categoriesChecked: categories, provider: 'gemini', structured: true });
+  });
+
+  test('routes style checks to the style rewrite and reports its edits as style errors', async () => {
+    generateContent.mockResolvedValue(geminiResponse('He goes to school.'));
+
+    const result = await grammarService.checkText(text, 'english', 'style');
+
+    expect(generateContent).toHaveBeenCalledWith([{ text: expect.any(String) }]);
+    expect(result).toMatchObject({ checkType: 'style', categoriesChecked: ['style'], corrected: 'He goes to school.' });
+    expect(result.errors.map(error => [error.category, error.original, error.replacement])).toEqual([
+      ['style', 'go', 'goes'],
+      ['style', 'scool', 'school']
+    ]);
+  });
+
+  test('combines all categories with the style pass for comprehensive checks', async () => {
+    generateContent.mockImplementation(async request => (Array.isArray(request)
+      ? geminiResponse('He goes to school.')
+      : correction('He goes to school.', [grammarError, spellingError])));
+
+    const result = await grammarService.checkText(text, 'english', 'comprehensive');
+
+    expect(generateContent).toHaveBeenCalledTimes(2);
+    expect(result.categoriesChecked).toEqual(grammarService.errorCategories);
+    expect(result.errors).toHaveLength(2);
+    expect(result.style).toEqual(expect.objectContaining({ improved: 'He goes to school.' }));
+    expect(result).toHaveProperty('recommendations');
+  });
+
+  test('returns a comprehensive result without style when the style pass fails', async () => {
+    generateContent.mockImplementation(async request => {
+      if (Array.isArray(request)) throw new Error('quota exceeded');
+      return correction(text);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await grammarService.checkText(text, 'english', 'comprehensive');
+
+    expect(result.style).toBeNull();
+    expect(result.checkType).toBe('comprehensive');
+  });
+
+  test('rejects unknown check types', async () => {
+    await expect(grammarService.checkText(text, 'english', 'tone')).rejects.toThrow('Unsupported check type: tone');
+    expect(generateContent).not.toHaveBeenCalled();
+  });
+});
+
+describe('grammarService.correctGrammar response handling', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('uses validated errors and moves miscounted spans onto their text', async () => {
+    generateContent.mockResolvedValue(correction('He go to school.', [{ ...spellingError, start: 7, end: 12 }]));
+
+    const result = await grammarService.correctGrammar(text, 'english', { checkType: 'spelling' });
+
+    expect(result.structured).toBe(true);
+    expect(result.errors).toEqual([expect.objectContaining({ original: 'scool', start: 9, end: 14, source: 'gemini' })]);
+  });
+
+  test('asks again when the response fails schema validation', async () => {
+    generateContent
+      .mockResolvedValueOnce(correction('He goes to school.', [grammarError]))
+      .mockResolvedValueOnce(correction('He go to school.', [spellingError]));
+
+    const result = await grammarService.correctGrammar(text, 'english', { checkType: 'spelling' });
+
+    expect(generateContent).toHaveBeenCalledTimes(2);
+    expect(promptOf(generateContent.mock.calls[1][0])).toContain('Your previous response was rejected');
+    expect(result).toMatchObject({ structured: true, corrected: 'He go to school.' });
+    expect(result.errors).toHaveLength(1);
+  });
+
+  test('asks again when the response is not JSON', async () => {
+    generateContent
+      .mockResolvedValueOnce(geminiResponse('He go to school.'))
+      .mockResolvedValueOnce(correction('He go to school.', [spellingError]));
+
+    const result = await grammarService.correctGrammar(text, 'english', { checkType: 'spelling' });
+
+    expect(promptOf(generateContent.mock.calls[1][0])).toContain('response is not valid JSON');
+    expect(result.structured).toBe(true);
+  });
+
+  test('derives the errors from the diff when every response is invalid', async () => {
+    generateContent
+      .mockResolvedValueOnce(geminiResponse({ correctedText: 'He go to school.', errors: 'scool → school' }))
+      .mockResolvedValueOnce(geminiResponse('not json'));
+
+    const result = await grammarService.correctGrammar(text, 'english', { checkType: 'spelling' });
+
+    expect(generateContent).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ structured: false, corrected: 'He go to school.' });
+    expect(result.errors).toEqual([
+      expect.objectContaining({ category: 'spelling', original: 'scool', start: 9, end: 14, replacement: 'school' })
+    ]);
+  });
+
+  test('returns the text unchanged when no corrected text could be read', async () => {
+    generateContent.mockResolvedValue(geminiResponse('not json'));
+
+    const result = await grammarService.correctGrammar(text, 'english', { checkType: 'grammar' });
+
+    expect(result).toMatchObject({ structured: false, corrected: text, errors: [] });
+  });
+});
+
+describe('grammarService.correctGrammar provider failures', () => {
+  // Error as thrown by the Gemini SDK for an HTTP error response
+  const httpError = status => Object.assign(new Error(`Error fetching from gemini: [${status}]`), { status });
+
+  beforeEach(() => {
+    grammarService.ruleCheckMode = 'fallback';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('uses the rule-based result when Gemini is not configured', async () => {
+    grammarService.geminiConfigured = false;
+
+    const result = await grammarService.correctGrammar(text, 'english');
+
+    expect(generateContent).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ provider: 'rules', fallback: true });
+  });
+
+  test.each([
+    ['is rate limited', httpError(429)],
+    ['is down', httpError(503)],
+    ['cannot be reached', new Error('Error fetching from gemini: fetch failed')],
+    ['times out', Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' })]
+  ])('uses the rule-based result when Gemini %s', async (description, error) => {
+    generateContent.mockRejectedValue(error);
+
+    const result = await grammarService.correctGrammar(text, 'english');
+
+    expect(result).toMatchObject({ provider: 'rules', fallback: true });
+  });
+
+  test.each([
+    ['a rejected request', httpError(400)],
+    ['a bug', new TypeError("Cannot read properties of undefined (reading 'text')")]
+  ])('fails on %s instead of falling back', async (description, error) => {
+    generateContent.mockRejectedValue(error);
+
+    await expect(grammarService.correctGrammar(text, 'english')).rejects.toThrow(error.message);
+    expect(console.error).toHaveBeenCalledWith('gemini grammar correction failed:', error);
+  });
+});
+
+describe('grammarService.batchGrammarCheck', () => {
+  const checked = original => ({
+    success: true,
+    original,
+    corrected: original,
+    errors: [],
+    diff: { stats: { originalWords: 2 } }
+  });
+
+  beforeEach(() => {
+    grammarService.batchConcurrency = 2;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('keeps at most batchConcurrency checks running and returns results in input order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const checkText = jest.spyOn(grammarService, 'checkText').mockImplementation(async original => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      // Later texts finish first
+      await new Promise(resolve => setTimeout(resolve, 20 - original.length));
+      running--;
+      return checked(original);
+    });
+
+    const texts = ['a', 'bb', 'ccc', 'dddd', 'eeeee'];
+    const { results, summary } = await grammarService.batchGrammarCheck(texts, 'english', 'grammar');
+
+    expect(checkText).toHaveBeenCalledTimes(5);
+    expect(maxRunning).toBe(2);
+    expect(results.map(result => result.original)).toEqual(texts);
+    expect(results.map(result => result.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(summary).toMatchObject({ succeeded: 5, failed: 0, totalErrors: 0, averageScore: 100 });
+  });
+
+  test('reports a failing text in its own result without stopping the others', async () => {
+    jest.spyOn(grammarService, 'checkText').mockImplementation(async original => {
+      if (original === 'bad') throw new Error('Grammar correction failed: quota exceeded');
+      return checked(original);
+    });
+
+    const { results, summary } = await grammarService.batchGrammarCheck(['one', 'bad', 'three'], 'english', 'grammar');
+
+    expect(results[1]).toEqual({ index: 1, success: false, original: 'bad', error: 'Grammar correction failed: quota exceeded' });
+    expect(results[0]).toMatchObject({ success: true, score: 100 });
+    expect(results[2]).toMatchObject({ success: true, score: 100 });
+    expect(summary).toMatchObject({ succeeded: 2, failed: 1 });
+  });
+
+  test('rejects unknown check types before checking anything', async () => {
+    const checkText = jest.spyOn(grammarService, 'checkText');
+
+    await expect(grammarService.batchGrammarCheck(['text'], 'english', 'tone')).rejects.toThrow('Unsupported check type');
+    expect(checkText).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+const sharp = require('sharp');
+const imagePreprocessor = require('../services/imagePreprocessor');
+
+// A page of twelve lines of word-sized black blocks on white
+const textPage = () => {
+  const words = [];
+  for (let line = 0; line < 12; line++) {
+    let x = 40;
+    for (let word = 0; word < 8; word++) {
+      const width = 20 + ((line * 7 + word * 13) % 40);
+      words.push(`<rect x="${x}" y="${40 + line * 40}" width="${width}" height="14" fill="black"/>`);
+      x += width + 15;
+    }
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="540">
+    <rect width="600" height="540" fill="white"/>${words.join('')}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+const rotated = async (image, angle) => sharp(image).rotate(angle, { background: '#ffffff' }).png().toBuffer();
+
+describe('imagePreprocessor.normalizePipeline', () => {
+  test('uses the default pipeline when none is given', () => {
+    expect(imagePreprocessor.normalizePipeline(undefined)).toEqual([
+      { op: 'grayscale' },
+      { op: 'denoise', size: 3 },
+      { op: 'threshold', method: 'otsu' }
+    ]);
+  });
+
+  test('accepts a JSON string with operation names and step objects', () => {
+    const steps = imagePreprocessor.normalizePipeline('["grayscale", {"op": "threshold", "value": 100}, {"op": "denoise", "size": 4}]');
+
+    expect(steps).toEqual([
+      { op: 'grayscale' },
+      { op: 'threshold', method: 'fixed', value: 100 },
+      { op: 'denoise', size: 5 }
+    ]);
+  });
+
+  test.each([
+    ['malformed JSON', '[grayscale', 'must be a JSON array of steps'],
+    ['a non-array', { op: 'grayscale' }, 'must be an array of steps'],
+    ['too many steps', new Array(21).fill('grayscale'), 'at most 20 steps'],
+    ['a step without op', [{ value: 1 }], "each step needs an 'op' name"],
+    ['an unknown operation', ['sharpen'], "Invalid preprocessing step 'sharpen': supported operations are"],
+    ['a parameter out of range', [{ op: 'contrast', value: 5 }], "'value' must be between 0.1 and 3"],
+    ['a missing required parameter', [{ op: 'crop', left: 0, top: 0 }], "'width' is required"],
+    ['a resize without a size', ['resize'], 'provide width, height or scale'],
+    ['an unknown threshold method', [{ op: 'threshold', method: 'adaptive' }], "method must be 'otsu' or 'fixed'"]
+  ])('rejects %s', (name, pipeline, message) => {
+    expect(() => imagePreprocessor.normalizePipeline(pipeline)).toThrow(message);
+  });
+});
+
+describe('imagePreprocessor.process', () => {
+  test('applies the steps in order and reports the parameters used', async () => {
+    const result = await imagePreprocessor.process(await textPage(), [
+      'grayscale',
+      { op: 'crop', left: 0, top: 0, width: 300, height: 270 },
+      { op: 'resize', scale: 0.5 },
+      { op: 'threshold' }
+    ]);
+
+    expect(result).toMatchObject({ width: 150, height: 135 });
+    expect(result.steps[3]).toEqual({ op: 'threshold', method: 'otsu', value: expect.any(Number) });
+    await expect(sharp(result.buffer).metadata()).resolves.toMatchObject({ format: 'png', width: 150, height: 135 });
+  });
+
+  test('rejects a crop outside the image', async () => {
+    await expect(imagePreprocessor.process(await textPage(), [{ op: 'crop', left: 500, top: 0, width: 200, height: 10 }]))
+      .rejects.toThrow('region exceeds image size 600x540');
+  });
+
+  test('reports the detected angle of an automatic deskew', async () => {
+    const result = await imagePreprocessor.process(await rotated(await textPage(), 5), ['deskew']);
+
+    expect(result.steps[0]).toMatchObject({ op: 'deskew', angle: 'auto' });
+    expect(result.steps[0].detectedAngle).toBeCloseTo(-5, 0);
+  });
+
+  test('rejects data that is not an image', async () => {
+    await expect(imagePreprocessor.process(Buffer.from('not an image'), ['grayscale'])).rejects.toThrow('invalid image');
+  });
+});
+
+describe('imagePreprocessor.detectOrientation', () => {
+  test('finds no rotation on an upright page', async () => {
+    const orientation = await imagePreprocessor.detectOrientation(await textPage());
+
+    expect(orientation).toMatchObject({ quarterTurn: 0, textDetected: true });
+    expect(orientation.skewAngle).toBeCloseTo(0, 0);
+    expect(orientation.confidence).toBeGreaterThan(2);
+  });
+
+  test.each([5, -7])('finds the angle that straightens a page skewed by %i°', async angle => {
+    const orientation = await imagePreprocessor.detectOrientation(await rotated(await textPage(), angle));
+
+    expect(orientation.quarterTurn).toBe(0);
+    expect(orientation.skewAngle).toBeCloseTo(-angle, 0);
+  });
+
+  test('detects a page turned sideways', async () => {
+    const orientation = await imagePreprocessor.detectOrientation(await rotated(await textPage(), 93));
+
+    expect(orientation.quarterTurn).toBe(90);
+    expect(orientation.skewAngle).toBeCloseTo(-3, 0);
+  });
+
+  test('reports no text on a blank page', async () => {
+    const blank = await sharp({ create: { width: 200, height: 200, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+    await expect(imagePreprocessor.detectOrientation(blank)).resolves.toEqual({
+      rotation: 0,
+      quarterTurn: 0,
+      skewAngle: 0,
+      confidence: 0,
+      textDetected: false
+    });
+  });
+});
+
+describe('imagePreprocessor.computeOtsuThreshold', () => {
+  test('splits a two-level histogram between its peaks', () => {
+    const histogram = new Array(256).fill(0);
+    histogram[30] = 100;
+    histogram[220] = 300;
+
+    const threshold = imagePreprocessor.computeOtsuThreshold(histogram);
+
+    expect(threshold).toBeGreaterThanOrEqual(30);
+    expect(threshold).toBeLessThan(220);
+  });
+});
@@ -0,0 +1,110 @@
+const languageToolProvider = require('../services/languageToolProvider');
+
+const text = 'She dont like there house.';
+
+const match = (offset, length, replacement, rule, message = 'Possible error') => ({
+  offset,
+  length,
+  message,
+  replacements: replacement === undefined ? [] : [{ value: replacement }],
+  rule
+});
+
+// Answer the next LanguageTool request with these matches
+const respondWith = (matches, { ok = true, status = 200 } = {}) => {
+  global.fetch.mockResolvedValueOnce({ ok, status, json: async () => ({ matches }) });
+};
+
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  languageToolProvider.apiUrl = 'http://languagetool.test/v2';
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('languageToolProvider.correct', () => {
+  test('sends the text with the configured English variant', async () => {
+    respondWith([]);
+
+    await languageToolProvider.correct(text, 'english');
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://languagetool.test/v2/check');
+    expect(request.body.get('text')).toBe(text);
+    expect(request.body.get('language')).toBe('en-GB');
+  });
+
+  test('turns matches into errors at their offsets and applies the first replacement', async () => {
+    respondWith([
+      match(4, 4, "doesn't", { id: 'EN_CONTRACTION_SPELLING', category: { id: 'TYPOS' } }),
+      match(14, 5, 'their', { id: 'CONFUSION_RULE', category: { id: 'CONFUSED_WORDS' } }, 'Did you mean <suggestion>their</suggestion>?')
+    ]);
+
+    const result = await languageToolProvider.correct(text, 'english');
+
+    expect(result.corrected).toBe("She doesn't like their house.");
+    expect(result.errors).toEqual([
+      { category: 'spelling', original: 'dont', start: 4, end: 8, replacement: "doesn't", explanation: 'Possible error', rule: 'EN_CONTRACTION_SPELLING' },
+      { category: 'word_choice', original: 'there', start: 14, end: 19, replacement: 'their', explanation: 'Did you mean "their"?', rule: 'CONFUSION_RULE' }
+    ]);
+    expect(result.structured).toBe(true);
+  });
+
+  test('maps agreement rules and unknown or missing rules', async () => {
+    respondWith([
+      match(0, 3, 'He', { id: 'HE_VERB_AGR', category: { id: 'GRAMMAR' } }),
+      match(4, 4, 'do not', { id: 'SOMETHING_NEW', category: { id: 'MISC' } }),
+      match(9, 4, 'likes', null, null)
+    ]);
+
+    const { errors } = await languageToolProvider.correct(text, 'english');
+
+    expect(errors.map(error => error.category)).toEqual(['agreement', 'other', 'other']);
+    expect(errors[2]).toMatchObject({ rule: undefined, explanation: '' });
+  });
+
+  test('keeps the first of overlapping matches and reports the rest as suggestions', async () => {
+    respondWith([
+      match(4, 4, "doesn't", { id: 'A', category: { id: 'TYPOS' } }),
+      match(4, 9, "doesn't like", { id: 'B', category: { id: 'GRAMMAR' } }, 'Overlapping hint')
+    ]);
+
+    const result = await languageToolProvider.correct(text, 'english');
+
+    expect(result.errors.map(error => error.rule)).toEqual(['A']);
+    expect(result.suggestions).toEqual(['Overlapping hint']);
+  });
+
+  test('reports matches without a replacement as suggestions', async () => {
+    respondWith([match(0, 3, undefined, { id: 'STYLE_HINT', category: { id: 'STYLE' } }, 'Consider rephrasing')]);
+
+    const result = await languageToolProvider.correct(text, 'english');
+
+    expect(result).toMatchObject({ corrected: text, errors: [], suggestions: ['Consider rephrasing'] });
+  });
+
+  test('only reports the requested categories', async () => {
+    respondWith([
+      match(4, 4, "doesn't", { id: 'A', category: { id: 'TYPOS' } }),
+      match(14, 5, 'their', { id: 'B', category: { id: 'CONFUSED_WORDS' } })
+    ]);
+
+    const result = await languageToolProvider.correct(text, 'english', { categories: ['spelling'] });
+
+    expect(result.errors.map(error => error.category)).toEqual(['spelling']);
+    expect(result.corrected).toBe("She doesn't like there house.");
+  });
+
+  test('fails on server errors and when no server is configured', async () => {
+    respondWith([], { ok: false, status: 503 });
+    await expect(languageToolProvider.correct(text, 'english')).rejects.toThrow('status 503');
+
+    languageToolProvider.apiUrl = '';
+    await expect(languageToolProvider.correct(text, 'english')).rejects.toThrow('LANGUAGE_TOOL_API_URL is not set');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
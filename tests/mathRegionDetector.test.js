@@ -0,0 +1,60 @@
+const mathRegionDetector = require('../services/mathRegionDetector');
+
+// One paragraph per call; every word gets the same box and confidence
+const detectLines = (lines, { confidence = 90, heights = [] } = {}) => {
+  const layout = [{
+    paragraphs: [{
+      lines: lines.map((text, index) => {
+        const height = heights[index] || 20;
+        const bbox = { x0: 0, y0: index * 40, x1: 200, y1: index * 40 + height };
+        return { text, bbox, words: text.split(' ').map(word => ({ text: word, confidence, bbox })) };
+      })
+    }]
+  }];
+  const words = lines.flatMap(text => text.split(' ').map(word => ({ text: word })));
+
+  return mathRegionDetector.detect(layout, words);
+};
+
+describe('mathRegionDetector.detect', () => {
+  test('reports an equation line as a display region', () => {
+    const { regions, wordIndexes } = detectLines(['x^2 + 2x + 1 = 0']);
+
+    expect(regions).toHaveLength(1);
+    expect(regions[0]).toMatchObject({ type: 'display', text: 'x^2 + 2x + 1 = 0' });
+    expect(regions[0].reasons).toContain('equation_operator');
+    expect([...wordIndexes]).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  test('joins consecutive formula lines of a paragraph into one region', () => {
+    const { regions } = detectLines(['2x + 3 = 7', '2x = 4', 'x = 2']);
+
+    expect(regions).toHaveLength(1);
+    expect(regions[0].text).toBe('2x + 3 = 7\n2x = 4\nx = 2');
+  });
+
+  test('reports a formula inside a prose line as an inline region', () => {
+    const { regions } = detectLines(['मैंने आज E=mc² के बारे में पढ़ा']);
+
+    expect(regions).toEqual([expect.objectContaining({ type: 'inline', text: 'E=mc²', wordIndexes: [2] })]);
+  });
+
+  test('leaves prose with numbers alone', () => {
+    expect(detectLines(['The class has 32 students and 4 teachers']).regions).toEqual([]);
+  });
+
+  test('does not treat dates, ranges, hyphenated words or punctuation as formulas', () => {
+    expect(detectLines(['Test on 12/08/2024 (pages 10-12)']).regions).toEqual([]);
+    expect(detectLines(['परीक्षा 12-08-24 को है']).regions).toEqual([]);
+    expect(detectLines(['a well-known result, 50% (approx)']).regions).toEqual([]);
+    expect(detectLines(['Read chapter 3 | section 4']).regions).toEqual([]);
+  });
+
+  test('still counts a spaced minus as an operator', () => {
+    expect(detectLines(['a - b = c']).regions).toEqual([expect.objectContaining({ type: 'display' })]);
+  });
+
+  test('returns no regions for an empty layout', () => {
+    expect(mathRegionDetector.detect([], [])).toEqual({ regions: [], wordIndexes: new Set() });
+  });
+});
@@ -0,0 +1,109 @@
+const ocrLayoutFormatter = require('../services/ocrLayoutFormatter');
+
+const box = (x0, y0, x1, y1) => ({ x0, y0, x1, y1 });
+
+// Tesseract-shaped blocks: one paragraph with two lines
+const tesseractBlocks = [{
+  blocktype: 'FLOWING_TEXT',
+  text: 'x < 5 & "y"\nराम\n',
+  confidence: 88.456,
+  bbox: box(10, 10, 210, 70),
+  paragraphs: [{
+    text: 'x < 5 & "y"\nराम',
+    confidence: 88.456,
+    bbox: box(10, 10, 210, 70),
+    lines: [
+      {
+        text: 'x < 5 & "y"\n',
+        confidence: 90,
+        bbox: box(10, 10, 210, 30),
+        words: [
+          { text: 'x', confidence: 95.5, bbox: box(10, 10, 20, 30) },
+          { text: '<', confidence: 80, bbox: box(30, 10, 40, 30) },
+          { text: '5', confidence: 99, bbox: box(50, 10, 60, 30) },
+          { text: '&', confidence: 70, bbox: box(70, 10, 80, 30) },
+          { text: '"y\'', confidence: 60, bbox: box(90, 10, 110, 30) }
+        ]
+      },
+      {
+        text: 'राम',
+        confidence: 86.9,
+        bbox: box(10, 40, 80, 70),
+        words: [{ text: 'राम', confidence: 86.9, bbox: box(10, 40, 80, 70) }]
+      },
+      { text: ' ', confidence: 0, bbox: box(0, 0, 0, 0), words: [{ text: ' ', confidence: 0, bbox: box(0, 0, 0, 0) }] }
+    ]
+  }]
+}, {
+  blocktype: 'FLOWING_TEXT',
+  text: '',
+  bbox: box(0, 0, 0, 0),
+  paragraphs: []
+}];
+
+describe('ocrLayoutFormatter.buildLayout', () => {
+  test('keeps text blocks, paragraphs, lines and words with rounded confidences', () => {
+    const layout = ocrLayoutFormatter.buildLayout(tesseractBlocks);
+
+    expect(layout).toHaveLength(1);
+    expect(layout[0]).toMatchObject({ type: 'text', confidence: 88.46, text: 'x < 5 & "y" राम' });
+    expect(layout[0].paragraphs[0].lines.map(line => line.text)).toEqual(['x < 5 & "y"', 'राम']);
+    expect(layout[0].paragraphs[0].lines[0].words[0]).toEqual({ text: 'x', confidence: 95.5, bbox: box(10, 10, 20, 30) });
+  });
+
+  test('joins lines into paragraphs for plain text', () => {
+    expect(ocrLayoutFormatter.toParagraphText(ocrLayoutFormatter.buildLayout(tesseractBlocks))).toBe('x < 5 & "y" राम');
+  });
+});
+
+describe('ocrLayoutFormatter.render', () => {
+  const layout = ocrLayoutFormatter.buildLayout(tesseractBlocks);
+
+  test('renders hOCR with page, area, paragraph, line and word boxes', () => {
+    const hocr = ocrLayoutFormatter.render(layout, 'hocr', { width: 600, height: 800, language: 'hin+eng' });
+
+    expect(hocr).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(hocr).toContain('<div class="ocr_page" id="page_1" title="bbox 0 0 600 800; ppageno 0">');
+    expect(hocr).toContain('<div class="ocr_carea" id="block_1_1" title="bbox 10 10 210 70">');
+    expect(hocr).toContain('<p class="ocr_par" id="par_1_1" lang="hin+eng" title="bbox 10 10 210 70">');
+    expect(hocr).toContain('<span class="ocr_line" id="line_1_2" title="bbox 10 40 80 70">');
+    expect(hocr).toContain('<span class="ocrx_word" id="word_1_1" title="bbox 10 10 20 30; x_wconf 96">x</span>');
+    expect(hocr).toContain('<span class="ocrx_word" id="word_1_6" title="bbox 10 40 80 70; x_wconf 87">राम</span>');
+  });
+
+  test('escapes recognised text in hOCR', () => {
+    const hocr = ocrLayoutFormatter.render(layout, 'hocr');
+
+    expect(hocr).toContain('x_wconf 80">&lt;</span>');
+    expect(hocr).toContain('x_wconf 70">&amp;</span>');
+    expect(hocr).toContain('x_wconf 60">&quot;y&apos;</span>');
+    expect(hocr).not.toContain('>"y\'<');
+  });
+
+  test('renders ALTO with positions, spaces and word confidences', () => {
+    const alto = ocrLayoutFormatter.render(layout, 'alto', { width: 600, height: 800, language: 'hin' });
+
+    expect(alto).toContain('<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="600" HEIGHT="800">');
+    expect(alto).toContain('<TextBlock ID="block_1" HPOS="10" VPOS="10" WIDTH="200" HEIGHT="60" LANG="hin">');
+    expect(alto).toContain('<String ID="string_1" HPOS="10" VPOS="10" WIDTH="10" HEIGHT="20" WC="0.95" CONTENT="x"/>');
+    expect(alto).toContain('<SP HPOS="20" VPOS="10" WIDTH="10"/>');
+    expect(alto).toContain('CONTENT="राम"/>');
+    expect(alto.match(/<TextLine /g)).toHaveLength(2);
+  });
+
+  test('escapes recognised text in ALTO attributes', () => {
+    const alto = ocrLayoutFormatter.render(layout, 'alto');
+
+    expect(alto).toContain('CONTENT="&lt;"');
+    expect(alto).toContain('CONTENT="&amp;"');
+    expect(alto).toContain('CONTENT="&quot;y&apos;"');
+  });
+
+  test('uses the extent of the layout when the page size is unknown', () => {
+    expect(ocrLayoutFormatter.render(layout, 'alto')).toContain('WIDTH="210" HEIGHT="70">');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => ocrLayoutFormatter.render(layout, 'pdf')).toThrow('Unsupported output format: pdf');
+  });
+});
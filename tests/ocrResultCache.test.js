@@ -0,0 +1,125 @@
+jest.mock('../services/tesseractWorkerPool', () => ({
+  configure: jest.fn(),
+  recognize: jest.fn()
+}));
+
+const ocrResultCache = require('../services/ocrResultCache');
+const ocrService = require('../services/ocrService');
+const tesseractWorkerPool = require('../services/tesseractWorkerPool');
+
+const defaults = {
+  enabled: ocrResultCache.enabled,
+  maxEntries: ocrResultCache.maxEntries,
+  ttlSeconds: ocrResultCache.ttlSeconds
+};
+
+beforeEach(() => {
+  delete process.env.REDIS_HOST;
+  Object.assign(ocrResultCache, { enabled: true, maxEntries: 2, ttlSeconds: 60 });
+  ocrResultCache.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  Object.assign(ocrResultCache, defaults);
+});
+
+describe('ocrResultCache (in memory)', () => {
+  test('returns stored results', async () => {
+    await ocrResultCache.set('a', { text: 'first' });
+
+    await expect(ocrResultCache.get('a')).resolves.toEqual({ text: 'first' });
+    await expect(ocrResultCache.get('missing')).resolves.toBeNull();
+  });
+
+  test('evicts the least recently used entry when full', async () => {
+    await ocrResultCache.set('a', { text: 'a' });
+    await ocrResultCache.set('b', { text: 'b' });
+    await ocrResultCache.get('a');
+
+    await ocrResultCache.set('c', { text: 'c' });
+
+    await expect(ocrResultCache.get('b')).resolves.toBeNull();
+    await expect(ocrResultCache.get('a')).resolves.toEqual({ text: 'a' });
+    await expect(ocrResultCache.get('c')).resolves.toEqual({ text: 'c' });
+  });
+
+  test('drops entries older than the TTL', async () => {
+    jest.useFakeTimers();
+    await ocrResultCache.set('a', { text: 'a' });
+
+    jest.advanceTimersByTime(59 * 1000);
+    await expect(ocrResultCache.get('a')).resolves.toEqual({ text: 'a' });
+
+    jest.advanceTimersByTime(1000);
+    await expect(ocrResultCache.get('a')).resolves.toBeNull();
+    expect(ocrResultCache.entries.has('a')).toBe(false);
+  });
+
+  test('stores and returns nothing when disabled', async () => {
+    ocrResultCache.enabled = false;
+    await ocrResultCache.set('a', { text: 'a' });
+
+    await expect(ocrResultCache.get('a')).resolves.toBeNull();
+    expect(ocrResultCache.entries.size).toBe(0);
+  });
+
+  test('builds the same key for the same parts only', () => {
+    const parts = { imageHash: 'abc', languages: 'eng', autoOrient: false, vocabulary: null, options: {} };
+
+    expect(ocrResultCache.buildKey({ ...parts })).toBe(ocrResultCache.buildKey(parts));
+    expect(ocrResultCache.buildKey({ ...parts, languages: 'hin' })).not.toBe(ocrResultCache.buildKey(parts));
+  });
+});
+
+describe('ocrService result caching', () => {
+  const image = Buffer.from('page image');
+
+  beforeEach(() => {
+    ocrResultCache.maxEntries = 50;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ocrService, 'correctOrientation').mockImplementation(async buffer => ({ buffer, orientation: null }));
+    tesseractWorkerPool.recognize.mockReset();
+    tesseractWorkerPool.recognize.mockResolvedValue({
+      data: { text: 'cached page', confidence: 91, words: [], blocks: [] }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers a repeated upload with the same settings from the cache', async () => {
+    const first = await ocrService.extractTextFromImage(image, { languages: 'eng' });
+    const second = await ocrService.extractTextFromImage(Buffer.from('page image'), { languages: 'eng' });
+
+    expect(tesseractWorkerPool.recognize).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ cached: true, text: 'cached page', imageHash: first.imageHash });
+  });
+
+  test.each([
+    ['language', { languages: 'hin' }],
+    ['autoOrient', { autoOrient: true }],
+    ['vocabulary', { vocabulary: { key: 'user:1', words: [], patterns: [] } }],
+    ['Tesseract options', { tessedit_pageseg_mode: '6' }]
+  ])('recognises the image again when the %s changes', async (name, changed) => {
+    await ocrService.extractTextFromImage(image, { languages: 'eng', autoOrient: false });
+    const result = await ocrService.extractTextFromImage(image, { languages: 'eng', autoOrient: false, ...changed });
+
+    expect(tesseractWorkerPool.recognize).toHaveBeenCalledTimes(2);
+    expect(result.cached).toBe(false);
+  });
+
+  test('does not cache by output format or confidence threshold', async () => {
+    await ocrService.extractTextFromImage(image, { languages: 'eng' });
+    const result = await ocrService.extractTextFromImage(image, {
+      languages: 'eng',
+      outputFormat: 'hocr',
+      confidenceThreshold: 80
+    });
+
+    expect(tesseractWorkerPool.recognize).toHaveBeenCalledTimes(1);
+    expect(result.cached).toBe(true);
+  });
+});
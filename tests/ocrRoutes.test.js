@@ -0,0 +1,137 @@
+jest.mock('../services/tesseractWorkerPool', () => ({
+  configure: jest.fn(),
+  recognize: jest.fn()
+}));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const ocrService = require('../services/ocrService');
+const ocrRoutes = require('../routes/ocr');
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { userId: 'user-1', role: 'student', classes: [] };
+  next();
+});
+app.use('/api/ocr', ocrRoutes);
+
+const page = Buffer.from('page image');
+
+// Successful OCR result for the page at index
+const pageResult = (index) => ({
+  success: true,
+  index,
+  page: index + 1,
+  text: `text of page ${index + 1}`,
+  confidence: 90,
+  language: 'eng',
+  words: [{ text: 'text' }]
+});
+
+// Start a chunked multipart POST without Content-Length and without finishing the body,
+// resolving with the response the server sends for the part written so far
+const postUnfinished = (path, body, boundary) => new Promise((resolve, reject) => {
+  const server = app.listen(0, () => {
+    const req = http.request({
+      port: server.address().port,
+      method: 'POST',
+      path,
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Transfer-Encoding': 'chunked' }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        req.destroy();
+        server.close(() => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+    });
+    req.on('error', (error) => server.close(() => reject(error)));
+    req.write(body);
+  });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/ocr/batch', () => {
+  test('keeps the text of a page whose record could not be saved', async () => {
+    jest.spyOn(ocrService, 'extractTextFromMultipleImages').mockResolvedValue({
+      success: true,
+      results: [pageResult(0), pageResult(1)],
+      totalProcessed: 2,
+      successfulPages: 2,
+      failedPages: [],
+      mergedDocument: { text: 'text of page 1\n\ntext of page 2' }
+    });
+    jest.spyOn(ocrService, 'saveOcrRecord')
+      .mockResolvedValueOnce({ recordId: 'record-1', reviewStatus: 'not_required' })
+      .mockRejectedValueOnce(new Error('Failed to save OCR record: connection lost'));
+
+    const res = await request(app)
+      .post('/api/ocr/batch')
+      .field('useVocabulary', 'false')
+      .attach('images', page, { filename: 'p1.png', contentType: 'image/png' })
+      .attach('images', page, { filename: 'p2.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pages[0]).toMatchObject({ success: true, saved: true, recordId: 'record-1' });
+    expect(res.body.data.pages[1]).toMatchObject({
+      success: true,
+      saved: false,
+      recordId: null,
+      extractedText: 'text of page 2'
+    });
+  });
+
+  test('rejects PDF and TIFF documents while parsing the upload', async () => {
+    const extract = jest.spyOn(ocrService, 'extractTextFromMultipleImages');
+
+    const res = await request(app)
+      .post('/api/ocr/batch')
+      .attach('images', page, { filename: 'p1.png', contentType: 'image/png' })
+      .attach('images', page, { filename: 'scan.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/page images only/);
+    expect(extract).not.toHaveBeenCalled();
+  });
+
+  test('rejects an upload above the total size from its Content-Length', async () => {
+    const res = await request(app)
+      .post('/api/ocr/batch')
+      .set('Content-Type', 'multipart/form-data; boundary=x')
+      .set('Content-Length', String(ocrService.maxBatchSize + 1))
+      .send('');
+
+    expect(res.status).toBe(413);
+  });
+
+  test('answers a chunked upload as soon as it passes the total size', async () => {
+    const originalSize = ocrService.maxBatchSize;
+    ocrService.maxBatchSize = 1024;
+    const extract = jest.spyOn(ocrService, 'extractTextFromMultipleImages');
+
+    const boundary = 'batch-boundary';
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="images"; filename="p1.png"\r\n` +
+        'Content-Type: image/png\r\n\r\n'),
+      Buffer.alloc(4096, 1)
+    ]);
+
+    try {
+      const res = await postUnfinished('/api/ocr/batch', body, boundary);
+
+      expect(res.status).toBe(413);
+      expect(res.body.success).toBe(false);
+      expect(extract).not.toHaveBeenCalled();
+    } finally {
+      ocrService.maxBatchSize = originalSize;
+    }
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../services/tesseractWorkerPool', () => ({
+  configure: jest.fn(),
+  recognize: jest.fn()
+}));
+
+const ocrService = require('../services/ocrService');
+const imagePreprocessor = require('../services/imagePreprocessor');
+const tesseractWorkerPool = require('../services/tesseractWorkerPool');
+
+const image = Buffer.from('page image');
+
+// Projection-profile result for a page with text
+const detected = (quarterTurn, skewAngle, confidence) => ({
+  rotation: quarterTurn + skewAngle,
+  quarterTurn,
+  skewAngle,
+  confidence,
+  textDetected: true
+});
+
+// Recognition confidence of the next samples, in order
+const sampleConfidences = (...confidences) => {
+  for (const confidence of confidences) {
+    tesseractWorkerPool.recognize.mockResolvedValueOnce({ data: { confidence } });
+  }
+};
+
+beforeEach(() => {
+  tesseractWorkerPool.recognize.mockReset();
+  jest.spyOn(imagePreprocessor, 'rotateImage').mockImplementation(async (buffer, angle) => Buffer.from(`rotated ${angle}`));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ocrService.autoOrient', () => {
+  const originalValue = process.env.OCR_AUTO_ORIENT;
+
+  afterEach(() => {
+    if (originalValue === undefined) delete process.env.OCR_AUTO_ORIENT;
+    else process.env.OCR_AUTO_ORIENT = originalValue;
+  });
+
+  const loadService = () => {
+    let service;
+    jest.isolateModules(() => {
+      service = require('../services/ocrService');
+    });
+    return service;
+  };
+
+  test('is on unless OCR_AUTO_ORIENT=false', () => {
+    delete process.env.OCR_AUTO_ORIENT;
+    expect(loadService().autoOrient).toBe(true);
+
+    process.env.OCR_AUTO_ORIENT = 'false';
+    expect(loadService().autoOrient).toBe(false);
+  });
+});
+
+describe('ocrService.correctOrientation', () => {
+  test('deskews a nearly upright page without the upside-down recognitions', async () => {
+    jest.spyOn(imagePreprocessor, 'detectOrientation').mockResolvedValue(detected(0, 1.5, 1.2));
+
+    const { buffer, orientation } = await ocrService.correctOrientation(image, 'eng');
+
+    expect(tesseractWorkerPool.recognize).not.toHaveBeenCalled();
+    expect(imagePreprocessor.rotateImage).toHaveBeenCalledWith(image, 1.5);
+    expect(buffer.toString()).toBe('rotated 1.5');
+    expect(orientation).toMatchObject({ rotation: 0, skewAngle: 1.5, appliedRotation: 1.5, upsideDownChecked: false });
+  });
+
+  test('trusts a clear profile of a turned page', async () => {
+    jest.spyOn(imagePreprocessor, 'detectOrientation').mockResolvedValue(detected(90, 0, 2.5));
+
+    const { orientation } = await ocrService.correctOrientation(image, 'eng');
+
+    expect(tesseractWorkerPool.recognize).not.toHaveBeenCalled();
+    expect(orientation).toMatchObject({ rotation: 90, appliedRotation: 90, corrected: true, upsideDownChecked: false });
+  });
+
+  test('compares both readings when the profile of a turned page is ambiguous', async () => {
+    jest.spyOn(imagePreprocessor, 'detectOrientation').mockResolvedValue(detected(90, 0, 1.2));
+    sampleConfidences(40, 85);
+
+    const { orientation } = await ocrService.correctOrientation(image, 'eng');
+
+    expect(tesseractWorkerPool.recognize).toHaveBeenCalledTimes(2);
+    expect(imagePreprocessor.rotateImage).toHaveBeenCalledWith(image, 270, { maxWidth: ocrService.orientationSampleWidth });
+    expect(orientation).toMatchObject({ rotation: 270, appliedRotation: 270, upsideDownChecked: true });
+  });
+
+  test('leaves pages without text as uploaded', async () => {
+    jest.spyOn(imagePreprocessor, 'detectOrientation').mockResolvedValue({
+      rotation: 0,
+      quarterTurn: 0,
+      skewAngle: 0,
+      confidence: 0,
+      textDetected: false
+    });
+
+    const { buffer, orientation } = await ocrService.correctOrientation(image, 'eng');
+
+    expect(buffer).toBe(image);
+    expect(orientation).toMatchObject({ corrected: false, textDetected: false });
+    expect(imagePreprocessor.rotateImage).not.toHaveBeenCalled();
+  });
+});
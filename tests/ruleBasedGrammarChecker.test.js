@@ -0,0 +1,62 @@
+const ruleBasedGrammarChecker = require('../services/ruleBasedGrammarChecker');
+
+describe('ruleBasedGrammarChecker.check', () => {
+  test('fixes Hindi possessive agreement and a missing danda', () => {
+    const result = ruleBasedGrammarChecker.check('राम की घर है', 'hindi');
+
+    expect(result.corrected).toBe('राम का घर है।');
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        category: 'agreement',
+        original: 'की',
+        start: 4,
+        end: 6,
+        replacement: 'का',
+        rule: 'possessive_agreement',
+        source: 'rules'
+      }),
+      expect.objectContaining({ category: 'punctuation', rule: 'missing_danda' })
+    ]);
+  });
+
+  test('fixes Punjabi possessive agreement with a feminine noun', () => {
+    const result = ruleBasedGrammarChecker.check('ਮੇਰਾ ਕਿਤਾਬ ਚੰਗੀ ਹੈ।', 'punjabi');
+
+    expect(result.corrected).toBe('ਮੇਰੀ ਕਿਤਾਬ ਚੰਗੀ ਹੈ।');
+    expect(result.errors).toHaveLength(1);
+  });
+
+  test('flags repeated function words but allows reduplicated content words', () => {
+    expect(ruleBasedGrammarChecker.check('मेरी किताब अच्छी है है।', 'hindi').corrected).toBe('मेरी किताब अच्छी है।');
+    expect(ruleBasedGrammarChecker.check('वह धीरे धीरे चलता है।', 'hindi').errors).toEqual([]);
+  });
+
+  test('corrects common misspellings and honours the requested categories', () => {
+    const result = ruleBasedGrammarChecker.check('यह मेरा परिक्षा है।', 'hindi', ['spelling']);
+
+    expect(result.corrected).toBe('यह मेरा परीक्षा है।');
+    expect(result.errors.map(error => error.category)).toEqual(['spelling']);
+  });
+
+  test('only checks repeated words in English, allowing "that that"', () => {
+    expect(ruleBasedGrammarChecker.check('I saw the the cat.', 'english')).toMatchObject({
+      corrected: 'I saw the cat.',
+      errors: [expect.objectContaining({ original: 'the the', rule: 'repeated_word' })]
+    });
+    expect(ruleBasedGrammarChecker.check('He said that that was fine.', 'english').errors).toEqual([]);
+  });
+
+  test('leaves text of unknown languages unchanged', () => {
+    expect(ruleBasedGrammarChecker.check('Bonjour', 'french')).toEqual({ corrected: 'Bonjour', errors: [] });
+  });
+});
+
+describe('ruleBasedGrammarChecker.coveredCategories', () => {
+  test('lists what the rules of each language can find', () => {
+    expect(ruleBasedGrammarChecker.coveredCategories('english')).toEqual(['grammar']);
+    expect(ruleBasedGrammarChecker.coveredCategories('hindi')).toEqual(
+      expect.arrayContaining(['agreement', 'spelling', 'punctuation', 'grammar'])
+    );
+    expect(ruleBasedGrammarChecker.coveredCategories('french')).toEqual([]);
+  });
+});
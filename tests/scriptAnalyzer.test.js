@@ -0,0 +1,80 @@
+const scriptAnalyzer = require('../services/scriptAnalyzer');
+
+describe('scriptAnalyzer.detectWordScript', () => {
+  test('labels words of each script', () => {
+    expect(scriptAnalyzer.detectWordScript('किताब')).toBe('devanagari');
+    expect(scriptAnalyzer.detectWordScript('ਕਿਤਾਬ')).toBe('gurmukhi');
+    expect(scriptAnalyzer.detectWordScript('book')).toBe('latin');
+    expect(scriptAnalyzer.detectWordScript('книга')).toBe('other');
+  });
+
+  test('treats numbers, punctuation and the danda as script-neutral', () => {
+    expect(scriptAnalyzer.detectWordScript('2024')).toBe('common');
+    expect(scriptAnalyzer.detectWordScript('।')).toBe('common');
+    expect(scriptAnalyzer.detectWordScript('ਹੈ।')).toBe('gurmukhi');
+  });
+});
+
+describe('scriptAnalyzer.analyze', () => {
+  test('labels a Punjabi page quoting one Hindi word as Punjabi', () => {
+    const analysis = scriptAnalyzer.analyze('ਮੇਰੀ ਮਾਂ ਨੇ ਕਿਹਾ नमस्ते ਅਤੇ ਹੱਸ ਪਈ।');
+
+    expect(analysis.primaryLanguage).toBe('punjabi');
+    expect(analysis.primaryScript).toBe('gurmukhi');
+    expect(analysis.isMixed).toBe(true);
+    expect(analysis.words.find(word => word.text === 'नमस्ते')).toMatchObject({
+      script: 'devanagari',
+      language: 'hindi',
+      start: 17,
+      end: 23
+    });
+  });
+
+  test('breaks the words down by script with percentages', () => {
+    const { scripts } = scriptAnalyzer.analyze('मैं school जाता हूँ, 2 days');
+
+    expect(scripts).toEqual([
+      { script: 'devanagari', language: 'hindi', wordCount: 3, percentage: 60 },
+      { script: 'latin', language: 'english', wordCount: 2, percentage: 40 }
+    ]);
+  });
+
+  test('groups consecutive words into same-script segments', () => {
+    const text = 'Newton का नियम F = ma है';
+    const { segments } = scriptAnalyzer.analyze(text);
+
+    expect(segments.map(({ script, text: segmentText }) => [script, segmentText])).toEqual([
+      ['latin', 'Newton'],
+      ['devanagari', 'का नियम'],
+      ['latin', 'F = ma'],
+      ['devanagari', 'है']
+    ]);
+    for (const segment of segments) {
+      expect(text.slice(segment.start, segment.end)).toBe(segment.text);
+    }
+  });
+
+  test('omits the per-word labels on request', () => {
+    expect(scriptAnalyzer.analyze('hello', { includeWords: false })).not.toHaveProperty('words');
+  });
+});
+
+describe('scriptAnalyzer.detectLanguage', () => {
+  test('returns the language with the most words', () => {
+    expect(scriptAnalyzer.detectLanguage('The word नमस्ते means hello')).toBe('english');
+  });
+
+  test('returns unknown rather than english for text without letters', () => {
+    expect(scriptAnalyzer.detectLanguage('1 2 3 4')).toBe('unknown');
+    expect(scriptAnalyzer.detectLanguage('')).toBe('unknown');
+  });
+});
+
+describe('scriptAnalyzer.labelWords', () => {
+  test('adds the script of the given text property', () => {
+    expect(scriptAnalyzer.labelWords([{ word: 'ਪਾਣੀ', confidence: 0.9 }], 'word')).toEqual([
+      { word: 'ਪਾਣੀ', confidence: 0.9, script: 'gurmukhi' }
+    ]);
+    expect(scriptAnalyzer.labelWords(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn() }));
+
+let Tesseract;
+let pool;
+let workers;
+
+// A recognize call that settles when the test says so
+const deferred = () => {
+  const handle = {};
+  handle.promise = new Promise((resolve, reject) => Object.assign(handle, { resolve, reject }));
+  return handle;
+};
+
+const createMockWorker = () => ({
+  recognize: jest.fn(() => Promise.resolve({ data: { text: 'ok' } })),
+  terminate: jest.fn(() => Promise.resolve()),
+  writeText: jest.fn(() => Promise.resolve()),
+  reinitialize: jest.fn(() => Promise.resolve())
+});
+
+const vocabulary = key => ({ key, words: ['photosynthesis'], patterns: [] });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  Tesseract = require('tesseract.js');
+  workers = [];
+  Tesseract.createWorker.mockImplementation(async () => {
+    const worker = createMockWorker();
+    workers.push(worker);
+    return worker;
+  });
+
+  pool = require('../services/tesseractWorkerPool');
+  Object.assign(pool, {
+    size: 1,
+    maxQueueLength: 2,
+    jobTimeout: 10000,
+    queueTimeout: 5000,
+    idleTimeout: 60000,
+    maxVocabularyPools: 2
+  });
+});
+
+afterEach(async () => {
+  await pool.shutdown();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// Start a worker whose recognize calls hang until released
+const blockFirstWorker = async () => {
+  const pending = deferred();
+  Tesseract.createWorker.mockImplementationOnce(async () => {
+    const worker = createMockWorker();
+    worker.recognize.mockReturnValueOnce(pending.promise);
+    workers.push(worker);
+    return worker;
+  });
+  const first = pool.recognize('page-1', 'eng');
+  await jest.advanceTimersByTimeAsync(0);
+  return { first, release: pending.resolve };
+};
+
+describe('tesseractWorkerPool.recognize', () => {
+  test('runs jobs on a pooled worker and reuses it', async () => {
+    await expect(pool.recognize('page-1', 'eng')).resolves.toEqual({ data: { text: 'ok' } });
+    await expect(pool.recognize('page-2', 'eng')).resolves.toEqual({ data: { text: 'ok' } });
+
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(1);
+    expect(workers[0].recognize).toHaveBeenCalledTimes(2);
+  });
+
+  test('queues jobs while every worker is busy and runs them in order', async () => {
+    const { first, release } = await blockFirstWorker();
+    const second = pool.recognize('page-2', 'eng');
+
+    expect(pool.getStats().pools[0]).toMatchObject({ workers: 1, busy: 1, queued: 1 });
+
+    release({ data: { text: 'first' } });
+
+    await expect(first).resolves.toEqual({ data: { text: 'first' } });
+    await expect(second).resolves.toEqual({ data: { text: 'ok' } });
+    expect(workers[0].recognize.mock.calls.map(([image]) => image)).toEqual(['page-1', 'page-2']);
+  });
+
+  test('rejects jobs once the queue is full', async () => {
+    await blockFirstWorker();
+    pool.recognize('page-2', 'eng').catch(() => {});
+    pool.recognize('page-3', 'eng').catch(() => {});
+
+    await expect(pool.recognize('page-4', 'eng')).rejects.toThrow('OCR queue is full');
+  });
+
+  test('rejects jobs that wait longer than the queue timeout', async () => {
+    await blockFirstWorker();
+    const queued = pool.recognize('page-2', 'eng');
+    const outcome = expect(queued).rejects.toThrow('OCR queue timeout');
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    await outcome;
+    expect(pool.getStats().pools[0].queued).toBe(0);
+  });
+
+  test('replaces a worker whose job times out', async () => {
+    const { first } = await blockFirstWorker();
+    const outcome = expect(first).rejects.toThrow('OCR timed out after 10000ms');
+
+    await jest.advanceTimersByTimeAsync(10000);
+
+    await outcome;
+    expect(workers[0].terminate).toHaveBeenCalled();
+
+    await expect(pool.recognize('page-2', 'eng')).resolves.toEqual({ data: { text: 'ok' } });
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(2);
+    expect(workers[1].recognize).toHaveBeenCalledWith('page-2', {});
+  });
+
+  test('terminates the workers of a combination nobody used for the idle timeout', async () => {
+    await pool.recognize('page-1', 'hin+eng');
+
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(workers[0].terminate).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(pool.getStats().pools).toEqual([]);
+  });
+});
+
+describe('tesseractWorkerPool vocabulary pools', () => {
+  test('loads the vocabulary as user words into a single-worker pool', async () => {
+    await pool.recognize('page-1', 'eng', {}, vocabulary('user:1'));
+
+    expect(workers[0].writeText).toHaveBeenCalledWith('/user-words', 'photosynthesis\n');
+    expect(workers[0].reinitialize).toHaveBeenCalledWith('eng', undefined, { user_words_file: '/user-words' });
+    expect(pool.getStats().pools).toEqual([expect.objectContaining({ vocabulary: true, workers: 1 })]);
+  });
+
+  test('terminates the least recently used idle vocabulary pool to make room', async () => {
+    await pool.recognize('page', 'eng', {}, vocabulary('a'));
+    await pool.recognize('page', 'eng', {}, vocabulary('b'));
+    await pool.recognize('page', 'eng', {}, vocabulary('a'));
+
+    await pool.recognize('page', 'eng', {}, vocabulary('c'));
+
+    expect(workers[1].terminate).toHaveBeenCalled();
+    expect(workers[0].terminate).not.toHaveBeenCalled();
+    expect([...pool.pools.keys()]).toEqual(['eng#a', 'eng#c']);
+  });
+
+  test('falls back to the shared pool when every vocabulary pool is busy', async () => {
+    const pending = [deferred(), deferred()];
+    Tesseract.createWorker.mockImplementation(async () => {
+      const worker = createMockWorker();
+      if (pending.length > 0) worker.recognize.mockReturnValue(pending.shift().promise);
+      workers.push(worker);
+      return worker;
+    });
+    pool.recognize('page', 'eng', {}, vocabulary('a'));
+    pool.recognize('page', 'eng', {}, vocabulary('b'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    await expect(pool.recognize('page', 'eng', {}, vocabulary('c'))).resolves.toEqual({ data: { text: 'ok' } });
+
+    expect([...pool.pools.keys()]).toEqual(['eng#a', 'eng#b', 'eng']);
+    expect(workers[2].reinitialize).not.toHaveBeenCalled();
+  });
+});
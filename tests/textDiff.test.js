@@ -0,0 +1,71 @@
+const textDiff = require('../services/textDiff');
+
+describe('textDiff.diff', () => {
+  test('reports a changed word as a substitution with offsets into both texts', () => {
+    const result = textDiff.diff('He go to school.', 'He goes to school.');
+
+    expect(result.edits).toHaveLength(1);
+    expect(result.edits[0]).toMatchObject({
+      type: 'substitution',
+      original: { text: 'go', start: 3, end: 5 },
+      corrected: { text: 'goes', start: 3, end: 7 }
+    });
+    expect(result.stats).toMatchObject({ substitutions: 1, originalWords: 5, correctedWords: 5 });
+  });
+
+  test('breaks short substitutions down by character, e.g. a changed matra', () => {
+    const [edit] = textDiff.diff('की', 'का').edits;
+
+    expect(edit.characters).toEqual([{
+      type: 'substitution',
+      original: { text: 'ी', start: 1, end: 2 },
+      corrected: { text: 'ा', start: 1, end: 2 }
+    }]);
+  });
+
+  test('reports insertions and deletions', () => {
+    expect(textDiff.diff('a b', 'a b c').edits).toEqual([{
+      type: 'insertion',
+      original: { text: '', start: 3, end: 3 },
+      corrected: { text: 'c', start: 4, end: 5 }
+    }]);
+    expect(textDiff.diff('a b c', 'a c').edits[0]).toMatchObject({
+      type: 'deletion',
+      original: { text: 'b', start: 2, end: 3 }
+    });
+  });
+
+  test('treats the danda as its own token', () => {
+    const result = textDiff.diff('राम घर गया', 'राम घर गया।');
+
+    expect(result.edits).toHaveLength(1);
+    expect(result.edits[0]).toMatchObject({ type: 'insertion', corrected: { text: '।' } });
+  });
+
+  test('identical and empty texts have no edits and full similarity', () => {
+    expect(textDiff.diff('same text', 'same text')).toMatchObject({ edits: [], similarity: 1 });
+    expect(textDiff.diff('', '')).toMatchObject({ edits: [], similarity: 1 });
+  });
+});
+
+describe('textDiff.similarity', () => {
+  test('is the share of tokens both texts have in common', () => {
+    expect(textDiff.similarity('He go to school.', 'He goes to school.')).toBe(0.8);
+    expect(textDiff.similarity('abc', 'xyz')).toBe(0);
+  });
+});
+
+describe('textDiff.applyReplacements', () => {
+  test('replaces spans regardless of their order in the list', () => {
+    const result = textDiff.applyReplacements('abcdef', [
+      { start: 0, end: 1, replacement: 'X' },
+      { start: 3, end: 5, replacement: '' }
+    ]);
+
+    expect(result).toBe('Xbcf');
+  });
+
+  test('returns the text unchanged without replacements', () => {
+    expect(textDiff.applyReplacements('unchanged', [])).toBe('unchanged');
+  });
+});
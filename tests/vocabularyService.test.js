@@ -0,0 +1,34 @@
+const vocabularyService = require('../services/vocabularyService');
+
+describe('vocabularyService.snapWord', () => {
+  const dictionary = vocabularyService.buildDictionary(['photosynthesis', 'chlorophyll', 'प्रकाश', 'ਪ੍ਰਕਾਸ਼']);
+
+  test('snaps a near miss to the closest entry', () => {
+    expect(vocabularyService.snapWord('photosynthesls', dictionary)).toEqual({
+      text: 'photosynthesis',
+      entry: 'photosynthesis',
+      distance: 1
+    });
+  });
+
+  test('keeps surrounding punctuation', () => {
+    expect(vocabularyService.snapWord('(chlorophyl),', dictionary)).toMatchObject({ text: '(chlorophyll),' });
+  });
+
+  test('snaps Devanagari words', () => {
+    expect(vocabularyService.snapWord('प्रकास', dictionary)).toMatchObject({ entry: 'प्रकाश' });
+  });
+
+  test('leaves exact matches, short tokens, numbers and distant words alone', () => {
+    expect(vocabularyService.snapWord('chlorophyll', dictionary)).toBeNull();
+    expect(vocabularyService.snapWord('an', dictionary)).toBeNull();
+    expect(vocabularyService.snapWord('2024', dictionary)).toBeNull();
+    expect(vocabularyService.snapWord('mitochondria', dictionary)).toBeNull();
+  });
+
+  test('leaves ties between two entries alone', () => {
+    const tied = vocabularyService.buildDictionary(['cart', 'card']);
+
+    expect(vocabularyService.snapWord('carx', tied)).toBeNull();
+  });
+});